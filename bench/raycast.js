@@ -0,0 +1,109 @@
+/**
+ * Raycast Benchmark
+ * Ray throughput of the track index against testing every track mesh
+ */
+
+import * as THREE from 'three';
+
+const MIN_RUN_TIME = 500; // ms per method
+
+/**
+ * Seeded random numbers so every run casts the same rays
+ */
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Rays like the ones physics casts: short wheel rays into the road where a
+ * vertical probe finds it, long isOnTrack-style rays elsewhere
+ */
+export function createRays(collision, bounds, count, seed = 1) {
+    const next = random(seed);
+    const down = new THREE.Vector3(0, -1, 0);
+    const height = bounds.max.y - bounds.min.y + 2;
+    const rays = [];
+
+    while (rays.length < count) {
+        const origin = new THREE.Vector3(
+            THREE.MathUtils.lerp(bounds.min.x, bounds.max.x, next()),
+            bounds.max.y + 1,
+            THREE.MathUtils.lerp(bounds.min.z, bounds.max.z, next())
+        );
+
+        const probe = collision.raycastMeshes(origin, down, height);
+        if (probe) {
+            const direction = probe.normal.clone().negate();
+            rays.push({ origin: probe.point.clone().addScaledVector(probe.normal, 0.8), direction, far: 1.2 });
+        } else {
+            origin.y = (bounds.min.y + bounds.max.y) / 2;
+            rays.push({ origin, direction: down, far: 10 });
+        }
+    }
+
+    return rays;
+}
+
+/**
+ * Rays per second, repeating the ray set for at least MIN_RUN_TIME
+ */
+function measure(cast, rays) {
+    let casts = 0;
+    const start = performance.now();
+    let elapsed = 0;
+
+    do {
+        for (const ray of rays) cast(ray.origin, ray.direction, ray.far);
+        casts += rays.length;
+        elapsed = performance.now() - start;
+    } while (elapsed < MIN_RUN_TIME);
+
+    return casts / elapsed * 1000;
+}
+
+export function runRaycastBenchmark(collision, bounds, { count = 2000, seed = 1 } = {}) {
+    const buildStart = performance.now();
+    const grid = collision.buildTrackIndex();
+    const buildTime = performance.now() - buildStart;
+
+    const rays = createRays(collision, bounds, count, seed);
+
+    // Both paths must agree before their speed means anything
+    let mismatches = 0;
+    for (const ray of rays) {
+        const a = collision.raycastMeshes(ray.origin, ray.direction, ray.far);
+        const b = collision.raycast(ray.origin, ray.direction, ray.far);
+        if (!a !== !b || (a && Math.abs(a.distance - b.distance) > 1e-6)) mismatches++;
+    }
+
+    const before = measure((o, d, far) => collision.raycastMeshes(o, d, far), rays);
+    const after = measure((o, d, far) => collision.raycast(o, d, far), rays);
+
+    return {
+        meshes: collision.trackMeshes.length,
+        triangles: grid.triangleCount,
+        cells: grid.cells.length,
+        buildTime,
+        rays: rays.length,
+        mismatches,
+        before,
+        after,
+        speedup: after / before
+    };
+}
+
+export function formatResults(trackId, result) {
+    return [
+        `Track: ${trackId}`,
+        `Track meshes: ${result.meshes}, triangles: ${result.triangles}, grid cells: ${result.cells}`,
+        `Index build: ${result.buildTime.toFixed(1)} ms`,
+        `Rays: ${result.rays}, mismatches: ${result.mismatches}`,
+        `Every mesh: ${Math.round(result.before).toLocaleString()} rays/s`,
+        `Indexed:    ${Math.round(result.after).toLocaleString()} rays/s`,
+        `Speedup:    ${result.speedup.toFixed(1)}x`
+    ].join('\n');
+}
@@ -2,6 +2,9 @@
  * Sound Manager
  * Handles synthesized sound effects using Web Audio API
  */
+
+import { getSurface } from '../track/Surfaces.js';
+
 export class SoundManager {
     constructor() {
         this.ctx = null;
@@ -17,6 +20,10 @@ export class SoundManager {
         this.driftNode = null;
         this.driftGain = null;
 
+        // Surface rumble
+        this.surfaceFilter = null;
+        this.surfaceGain = null;
+
         // Init on first user interaction
         this.init();
     }
@@ -92,19 +99,7 @@ export class SoundManager {
             return;
         }
 
-        // Create noise buffer
-        const bufferSize = this.ctx.sampleRate * 2; // 2 seconds
-        const buffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
-        const data = buffer.getChannelData(0);
-
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
-        }
-
-        // Create source
-        const noise = this.ctx.createBufferSource();
-        noise.buffer = buffer;
-        noise.loop = true;
+        const noise = this.createNoise();
 
         // Filter (Lowpass)
         const filter = this.ctx.createBiquadFilter();
@@ -129,6 +124,55 @@ export class SoundManager {
         gain.gain.setTargetAtTime(0.2, this.ctx.currentTime, 0.1);
     }
 
+    /**
+     * Tyre rumble for the surface under the car (null when airborne)
+     * speedRatio is 0 to 1
+     */
+    updateSurface(surfaceName, speedRatio) {
+        if (!this.enabled) return;
+
+        const sound = surfaceName ? getSurface(surfaceName).sound : null;
+
+        if (!this.surfaceGain) {
+            if (!sound) return;
+
+            const noise = this.createNoise();
+            this.surfaceFilter = this.ctx.createBiquadFilter();
+            this.surfaceFilter.type = 'lowpass';
+            this.surfaceGain = this.ctx.createGain();
+            this.surfaceGain.gain.value = 0;
+
+            noise.connect(this.surfaceFilter);
+            this.surfaceFilter.connect(this.surfaceGain);
+            this.surfaceGain.connect(this.masterGain);
+            noise.start();
+        }
+
+        const volume = sound ? sound.volume * Math.min(speedRatio * 2, 1) : 0;
+        this.surfaceGain.gain.setTargetAtTime(volume, this.ctx.currentTime, 0.1);
+        if (sound) {
+            this.surfaceFilter.frequency.setTargetAtTime(sound.filter, this.ctx.currentTime, 0.1);
+        }
+    }
+
+    /**
+     * Looping white noise source (2 seconds)
+     */
+    createNoise() {
+        const bufferSize = this.ctx.sampleRate * 2;
+        const buffer = this.ctx.createBuffer(1, bufferSize, this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const noise = this.ctx.createBufferSource();
+        noise.buffer = buffer;
+        noise.loop = true;
+        return noise;
+    }
+
     stopDrift() {
         if (!this.enabled || !this.driftGain) return;
 
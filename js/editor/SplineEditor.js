@@ -0,0 +1,451 @@
+/**
+ * Spline Editor
+ * Drag control points of spline tracks in 3D and rebuild the road live
+ */
+
+import * as THREE from 'three';
+import { TrackValidator, TRACK_SCHEMA_VERSION } from '../track/TrackValidator.js';
+import { downloadJSON, toFileName } from '../utils/FileUtils.js';
+
+const HANDLE_COLOR = 0xffaa00;
+const START_HANDLE_COLOR = 0xffffff;
+const SELECTED_HANDLE_COLOR = 0xff3366;
+const MAX_HISTORY = 100;
+
+export class SplineEditor {
+    constructor(trackLoader, camera, renderer, canvas) {
+        this.trackLoader = trackLoader;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.canvas = canvas;
+
+        // DOM
+        this.panel = document.getElementById('spline-editor');
+        this.coordInputs = {
+            x: document.getElementById('spline-x'),
+            y: document.getElementById('spline-y'),
+            z: document.getElementById('spline-z')
+        };
+        this.pointLabel = document.getElementById('spline-point');
+        this.issuesEl = document.getElementById('spline-issues');
+
+        // Handles
+        this.handleGroup = new THREE.Group();
+        this.handleGeometry = new THREE.SphereGeometry(2.5, 12, 8);
+        this.handles = [];
+
+        // State
+        this.trackData = null;
+        this.selectedIndex = 0;
+        this.isOpen = false;
+        this.rebuildPending = false;
+
+        // Undo/redo stacks of points snapshots
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Pointer interaction
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.drag = null;
+
+        // Callbacks
+        this.onTestDrive = null;
+        this.onClose = null;
+
+        this.init();
+    }
+
+    init() {
+        // Panel buttons
+        document.getElementById('spline-insert').addEventListener('click', () => this.insertPoint());
+        document.getElementById('spline-delete').addEventListener('click', () => this.deletePoint());
+        document.getElementById('spline-undo').addEventListener('click', () => this.undo());
+        document.getElementById('spline-redo').addEventListener('click', () => this.redo());
+        document.getElementById('spline-export').addEventListener('click', () => this.exportPoints());
+        document.getElementById('spline-save').addEventListener('click', () => {
+            downloadJSON(this.trackData, `${toFileName(this.trackData.name)}.json`);
+        });
+
+        document.getElementById('spline-test').addEventListener('click', () => {
+            if (this.onTestDrive && this.rebuild()) {
+                this.onTestDrive(this.trackData, null);
+            }
+        });
+
+        document.getElementById('spline-back').addEventListener('click', () => {
+            this.close();
+            if (this.onClose) this.onClose();
+        });
+
+        // Typed coordinates
+        Object.keys(this.coordInputs).forEach(axis => {
+            const input = this.coordInputs[axis];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isNaN(value)) return;
+
+                this.pushHistory();
+                this.trackData.points[this.selectedIndex][axis] = value;
+                this.updateHandles();
+                this.requestRebuild();
+            });
+        });
+
+        // Pointer and keyboard
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        window.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        window.addEventListener('pointerup', () => this.onPointerUp());
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            if (this.isOpen) e.preventDefault();
+        });
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    /**
+     * Open the editor with a copy of a spline track
+     */
+    open(trackData) {
+        this.trackData = JSON.parse(JSON.stringify(trackData));
+        this.trackData.version = TRACK_SCHEMA_VERSION; // Saved files use the latest schema
+        this.trackData.format = 'spline';
+        this.selectedIndex = 0;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isOpen = true;
+
+        this.panel.classList.remove('hidden');
+        this.renderer.add(this.handleGroup);
+
+        this.rebuild();
+        this.updateHandles();
+        this.frameTrack();
+    }
+
+    /**
+     * Re-show the editor after a test drive without losing edits
+     */
+    resume() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.renderer.add(this.handleGroup);
+        this.rebuild();
+        this.updateHandles();
+        this.frameTrack();
+    }
+
+    close() {
+        this.hide();
+    }
+
+    hide() {
+        this.isOpen = false;
+        this.drag = null;
+        this.panel.classList.add('hidden');
+        this.renderer.remove(this.handleGroup);
+    }
+
+    frameTrack() {
+        const bounds = new THREE.Box3().setFromObject(this.handleGroup);
+        if (!bounds.isEmpty()) {
+            this.camera.frameBounds(bounds);
+        }
+    }
+
+    /**
+     * Sync handle meshes with the points array
+     */
+    updateHandles() {
+        const points = this.trackData.points;
+
+        // Grow or shrink the handle pool
+        while (this.handles.length < points.length) {
+            const material = new THREE.MeshBasicMaterial({ color: HANDLE_COLOR });
+            const handle = new THREE.Mesh(this.handleGeometry, material);
+
+            // Stem down to the ground helps read the height
+            const stemGeo = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+            const stem = new THREE.Line(stemGeo, new THREE.LineBasicMaterial({ color: HANDLE_COLOR }));
+
+            this.handleGroup.add(handle);
+            this.handleGroup.add(stem);
+            this.handles.push({ mesh: handle, stem: stem });
+        }
+        while (this.handles.length > points.length) {
+            const handle = this.handles.pop();
+            this.handleGroup.remove(handle.mesh);
+            this.handleGroup.remove(handle.stem);
+            handle.mesh.material.dispose();
+            handle.stem.geometry.dispose();
+        }
+
+        points.forEach((p, i) => {
+            const { mesh, stem } = this.handles[i];
+            mesh.position.set(p.x, p.y, p.z);
+            mesh.userData.index = i;
+
+            const color = i === this.selectedIndex ? SELECTED_HANDLE_COLOR
+                : i === 0 ? START_HANDLE_COLOR : HANDLE_COLOR;
+            mesh.material.color.setHex(color);
+
+            const stemPositions = stem.geometry.attributes.position;
+            stemPositions.setXYZ(0, p.x, p.y, p.z);
+            stemPositions.setXYZ(1, p.x, -0.5, p.z);
+            stemPositions.needsUpdate = true;
+            stem.geometry.computeBoundingSphere();
+        });
+
+        this.refreshPanel();
+    }
+
+    refreshPanel() {
+        const point = this.trackData.points[this.selectedIndex];
+        this.pointLabel.textContent = `POINT ${this.selectedIndex + 1}/${this.trackData.points.length}`;
+
+        Object.keys(this.coordInputs).forEach(axis => {
+            this.coordInputs[axis].value = point ? Math.round(point[axis] * 100) / 100 : '';
+        });
+    }
+
+    selectPoint(index) {
+        this.selectedIndex = index;
+        this.updateHandles();
+    }
+
+    /**
+     * Insert a point on the curve halfway to the next point
+     */
+    insertPoint() {
+        const points = this.trackData.points;
+        const count = points.length;
+        const index = this.selectedIndex;
+
+        const open = this.trackData.open === true;
+        let mid;
+
+        if (open && index === count - 1) {
+            // Past the end of an open track: carry on in the same direction
+            const last = points[index];
+            const prev = points[index - 1];
+            mid = new THREE.Vector3(2 * last.x - prev.x, 2 * last.y - prev.y, 2 * last.z - prev.z);
+        } else {
+            const curve = new THREE.CatmullRomCurve3(points.map(p => new THREE.Vector3(p.x, p.y, p.z)), !open);
+            mid = curve.getPoint((index + 0.5) / (open ? count - 1 : count));
+        }
+
+        this.pushHistory();
+        points.splice(index + 1, 0, {
+            ...points[index],
+            x: Math.round(mid.x * 100) / 100,
+            y: Math.round(mid.y * 100) / 100,
+            z: Math.round(mid.z * 100) / 100
+        });
+        this.selectedIndex = index + 1;
+
+        this.updateHandles();
+        this.requestRebuild();
+    }
+
+    deletePoint() {
+        const points = this.trackData.points;
+        // A closed curve needs a triangle at least, an open one a single segment
+        if (points.length <= (this.trackData.open === true ? 2 : 3)) return;
+
+        this.pushHistory();
+        points.splice(this.selectedIndex, 1);
+        this.selectedIndex = Math.min(this.selectedIndex, points.length - 1);
+
+        this.updateHandles();
+        this.requestRebuild();
+    }
+
+    // --- Undo / redo ---
+
+    pushHistory() {
+        this.undoStack.push(JSON.stringify(this.trackData.points));
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(JSON.stringify(this.trackData.points));
+        this.restorePoints(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(JSON.stringify(this.trackData.points));
+        this.restorePoints(this.redoStack.pop());
+    }
+
+    restorePoints(snapshot) {
+        this.trackData.points = JSON.parse(snapshot);
+        this.selectedIndex = Math.min(this.selectedIndex, this.trackData.points.length - 1);
+        this.updateHandles();
+        this.requestRebuild();
+    }
+
+    // --- Rebuild ---
+
+    /**
+     * Rebuild at most once per frame while dragging
+     */
+    requestRebuild() {
+        if (this.rebuildPending) return;
+        this.rebuildPending = true;
+
+        requestAnimationFrame(() => {
+            this.rebuildPending = false;
+            if (this.isOpen) this.rebuild();
+        });
+    }
+
+    /**
+     * Validate and rebuild road and collision mesh, keeping the last good build on errors
+     */
+    rebuild() {
+        const result = TrackValidator.validate(this.trackData);
+        this.showIssues(result.errors);
+
+        if (!result.valid) return false;
+
+        try {
+            this.trackLoader.build(this.trackData);
+            return true;
+        } catch (error) {
+            this.showIssues([error.message]);
+            return false;
+        }
+    }
+
+    showIssues(errors) {
+        this.issuesEl.innerHTML = '';
+        errors.forEach(text => {
+            const item = document.createElement('li');
+            item.className = 'error';
+            item.textContent = text;
+            this.issuesEl.appendChild(item);
+        });
+    }
+
+    exportPoints() {
+        downloadJSON(this.trackData.points, `${toFileName(this.trackData.name)}-points.json`);
+    }
+
+    // --- Pointer handling ---
+
+    updatePointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera.camera);
+    }
+
+    onPointerDown(e) {
+        if (!this.isOpen) return;
+
+        this.updatePointer(e);
+
+        // Right button (or empty space) orbits the camera
+        const hits = e.button === 0
+            ? this.raycaster.intersectObjects(this.handles.map(h => h.mesh), false)
+            : [];
+
+        if (hits.length === 0) {
+            this.drag = { mode: 'orbit', x: e.clientX, y: e.clientY };
+            return;
+        }
+
+        const index = hits[0].object.userData.index;
+        const point = this.trackData.points[index];
+        this.selectPoint(index);
+
+        // Shift drags height on a camera-facing vertical plane, otherwise XZ
+        const origin = new THREE.Vector3(point.x, point.y, point.z);
+        const normal = new THREE.Vector3(0, 1, 0);
+        if (e.shiftKey) {
+            this.camera.camera.getWorldDirection(normal);
+            normal.y = 0;
+            if (normal.lengthSq() < 1e-6) normal.set(0, 0, 1);
+            normal.normalize();
+        }
+
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, origin);
+        const start = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+
+        this.drag = {
+            mode: e.shiftKey ? 'height' : 'xz',
+            index: index,
+            plane: plane,
+            start: start || origin.clone(),
+            origin: origin,
+            moved: false
+        };
+    }
+
+    onPointerMove(e) {
+        if (!this.isOpen || !this.drag) return;
+
+        if (this.drag.mode === 'orbit') {
+            this.camera.orbit(-(e.clientX - this.drag.x) * 0.005, (e.clientY - this.drag.y) * 0.005);
+            this.drag.x = e.clientX;
+            this.drag.y = e.clientY;
+            return;
+        }
+
+        this.updatePointer(e);
+        const hit = this.raycaster.ray.intersectPlane(this.drag.plane, new THREE.Vector3());
+        if (!hit) return;
+
+        // Only a real move is worth an undo step
+        if (!this.drag.moved) {
+            this.pushHistory();
+            this.drag.moved = true;
+        }
+
+        const delta = hit.sub(this.drag.start);
+        const point = this.trackData.points[this.drag.index];
+        const round = (v) => Math.round(v * 100) / 100;
+
+        if (this.drag.mode === 'height') {
+            point.y = round(this.drag.origin.y + delta.y);
+        } else {
+            point.x = round(this.drag.origin.x + delta.x);
+            point.z = round(this.drag.origin.z + delta.z);
+        }
+
+        this.updateHandles();
+        this.requestRebuild();
+    }
+
+    onPointerUp() {
+        this.drag = null;
+    }
+
+    onWheel(e) {
+        if (!this.isOpen) return;
+        e.preventDefault();
+        this.camera.zoom(e.deltaY > 0 ? 1.1 : 0.9);
+    }
+
+    onKeyDown(e) {
+        if (!this.isOpen || e.target.tagName === 'INPUT') return;
+
+        if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+            e.preventDefault();
+            if (e.shiftKey) this.redo();
+            else this.undo();
+        } else if ((e.ctrlKey || e.metaKey) && e.code === 'KeyY') {
+            e.preventDefault();
+            this.redo();
+        } else if (e.code === 'Delete') {
+            this.deletePoint();
+        } else if (e.code === 'Insert') {
+            this.insertPoint();
+        }
+    }
+}
@@ -0,0 +1,344 @@
+/**
+ * Track Editor
+ * Edits piece-based tracks and rebuilds them live through the track loader
+ */
+
+import { TrackValidator, TRACK_SCHEMA_VERSION } from '../track/TrackValidator.js';
+import { downloadJSON, toFileName } from '../utils/FileUtils.js';
+
+// Starting values for newly added pieces
+const PIECE_TEMPLATES = {
+    straight: { length: 20 },
+    curve: { radius: 30, angle: 1.57 },
+    ramp: { length: 20, heightChange: 5 },
+    jump: { length: 30, jumpHeight: 3 },
+    loop: { radius: 10 },
+    boost: { length: 12 },
+    scurve: { radius: 30, angle: 0.8 },
+    bankedCurve: { radius: 40, angle: 1.57, bank: 0.35 },
+    halfpipe: { length: 30, wallHeight: 4 },
+    tunnel: { length: 40, height: 6 },
+    wallride: { length: 40, angle: 1.57, side: 'left' },
+    checkpoint: {},
+    finish: {}
+};
+
+// Simple oval used for new tracks
+const NEW_TRACK = {
+    name: 'New Track',
+    difficulty: 'Custom',
+    laps: 3,
+    description: 'Built in the track editor.',
+    pieces: [
+        { type: 'checkpoint', isFinish: true },
+        { type: 'straight', length: 60 },
+        { type: 'curve', radius: 30, angle: 3.14 },
+        { type: 'checkpoint' },
+        { type: 'straight', length: 60 },
+        { type: 'curve', radius: 30, angle: 3.14 }
+    ]
+};
+
+export class TrackEditor {
+    constructor(trackLoader, camera) {
+        this.trackLoader = trackLoader;
+        this.camera = camera;
+
+        // DOM
+        this.panel = document.getElementById('track-editor');
+        this.nameInput = document.getElementById('editor-name');
+        this.lapsInput = document.getElementById('editor-laps');
+        this.pieceList = document.getElementById('editor-pieces');
+        this.typeSelect = document.getElementById('editor-piece-type');
+        this.propertiesEl = document.getElementById('editor-properties');
+        this.issuesEl = document.getElementById('editor-issues');
+
+        // State
+        this.trackData = null;
+        this.trackInfo = null;
+        this.selectedIndex = 0;
+        this.isOpen = false;
+        this.rebuildTimeout = null;
+
+        // Callbacks
+        this.onTestDrive = null;
+        this.onClose = null;
+
+        this.init();
+    }
+
+    init() {
+        // Piece type options
+        Object.keys(PIECE_TEMPLATES).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type.toUpperCase();
+            this.typeSelect.appendChild(option);
+        });
+
+        this.nameInput.addEventListener('input', () => {
+            this.trackData.name = this.nameInput.value;
+        });
+
+        this.lapsInput.addEventListener('input', () => {
+            this.setField(this.trackData, 'laps', this.lapsInput.value, { type: 'integer' });
+            this.scheduleRebuild();
+        });
+
+        document.getElementById('editor-add').addEventListener('click', () => {
+            this.addPiece(this.typeSelect.value);
+        });
+
+        document.getElementById('editor-up').addEventListener('click', () => {
+            this.movePiece(-1);
+        });
+
+        document.getElementById('editor-down').addEventListener('click', () => {
+            this.movePiece(1);
+        });
+
+        document.getElementById('editor-remove').addEventListener('click', () => {
+            this.removePiece();
+        });
+
+        document.getElementById('editor-test').addEventListener('click', () => {
+            if (this.onTestDrive && this.rebuild()) {
+                this.onTestDrive(this.trackData, this.trackInfo.pieceStarts[this.selectedIndex]);
+            }
+        });
+
+        document.getElementById('editor-save').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('editor-back').addEventListener('click', () => {
+            this.close();
+            if (this.onClose) this.onClose();
+        });
+    }
+
+    /**
+     * Open the editor with a copy of the given track (or a new oval)
+     */
+    open(trackData = null) {
+        this.trackData = JSON.parse(JSON.stringify(trackData || NEW_TRACK));
+        this.trackData.version = TRACK_SCHEMA_VERSION; // Saved files use the latest schema
+        this.trackData.format = 'pieces';
+        this.selectedIndex = 0;
+        this.isOpen = true;
+
+        this.nameInput.value = this.trackData.name || '';
+        this.lapsInput.value = this.trackData.laps || 1;
+
+        this.panel.classList.remove('hidden');
+        this.refreshList();
+        this.rebuild();
+        this.frameTrack();
+    }
+
+    /**
+     * Re-show the editor after a test drive without losing edits
+     */
+    resume() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.rebuild();
+        this.frameTrack();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        clearTimeout(this.rebuildTimeout);
+    }
+
+    hide() {
+        this.panel.classList.add('hidden');
+    }
+
+    addPiece(type) {
+        const pieces = this.trackData.pieces;
+        const piece = { type, ...PIECE_TEMPLATES[type] };
+
+        // Keep the road width and surface of the neighbouring piece
+        const neighbour = pieces[this.selectedIndex];
+        ['width', 'surface'].forEach(key => {
+            if (neighbour && neighbour[key] !== undefined) {
+                piece[key] = neighbour[key];
+            }
+        });
+
+        const index = pieces.length === 0 ? 0 : this.selectedIndex + 1;
+        pieces.splice(index, 0, piece);
+        this.selectedIndex = index;
+
+        this.refreshList();
+        this.scheduleRebuild();
+    }
+
+    removePiece() {
+        const pieces = this.trackData.pieces;
+        if (pieces.length === 0) return;
+
+        pieces.splice(this.selectedIndex, 1);
+        this.selectedIndex = Math.min(this.selectedIndex, pieces.length - 1);
+
+        this.refreshList();
+        this.scheduleRebuild();
+    }
+
+    movePiece(offset) {
+        const pieces = this.trackData.pieces;
+        const target = this.selectedIndex + offset;
+        if (target < 0 || target >= pieces.length) return;
+
+        [pieces[this.selectedIndex], pieces[target]] = [pieces[target], pieces[this.selectedIndex]];
+        this.selectedIndex = target;
+
+        this.refreshList();
+        this.scheduleRebuild();
+    }
+
+    selectPiece(index) {
+        this.selectedIndex = index;
+        this.refreshList();
+    }
+
+    refreshList() {
+        this.pieceList.innerHTML = '';
+
+        this.trackData.pieces.forEach((piece, index) => {
+            const item = document.createElement('li');
+            item.textContent = this.describePiece(piece);
+            if (index === this.selectedIndex) {
+                item.classList.add('selected');
+            }
+            item.addEventListener('click', () => this.selectPiece(index));
+            this.pieceList.appendChild(item);
+        });
+
+        this.refreshProperties();
+    }
+
+    describePiece(piece) {
+        const details = Object.keys(piece)
+            .filter(key => key !== 'type')
+            .map(key => `${key} ${piece[key]}`)
+            .join(', ');
+        return details ? `${piece.type.toUpperCase()} (${details})` : piece.type.toUpperCase();
+    }
+
+    /**
+     * Build a form for the selected piece from the schema
+     */
+    refreshProperties() {
+        this.propertiesEl.innerHTML = '';
+
+        const piece = this.trackData.pieces[this.selectedIndex];
+        if (!piece) return;
+
+        const fields = TrackValidator.getPieceFields(piece.type) || {};
+
+        Object.keys(fields).forEach(key => {
+            const rule = fields[key];
+            const label = document.createElement('label');
+            label.textContent = key;
+
+            let input;
+            if (rule.enum) {
+                input = document.createElement('select');
+                ['', ...rule.enum].forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value || 'default';
+                    input.appendChild(option);
+                });
+                input.value = piece[key] ?? '';
+            } else if (rule.type === 'boolean') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = piece[key] === true;
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.step = rule.type === 'integer' ? '1' : 'any';
+                input.value = piece[key] ?? '';
+                input.placeholder = 'default';
+            }
+
+            input.addEventListener('input', () => {
+                this.setField(piece, key, rule.type === 'boolean' ? input.checked : input.value, rule);
+                this.pieceList.children[this.selectedIndex].textContent = this.describePiece(piece);
+                this.scheduleRebuild();
+            });
+
+            label.appendChild(input);
+            this.propertiesEl.appendChild(label);
+        });
+    }
+
+    /**
+     * Write a form value into the data, removing the field when cleared
+     */
+    setField(target, key, value, rule) {
+        if (rule.type === 'boolean') {
+            if (value) target[key] = true;
+            else delete target[key];
+            return;
+        }
+
+        if (value === '') {
+            delete target[key];
+        } else {
+            target[key] = rule.type === 'string' ? value : parseFloat(value);
+        }
+    }
+
+    scheduleRebuild() {
+        clearTimeout(this.rebuildTimeout);
+        this.rebuildTimeout = setTimeout(() => this.rebuild(), 150);
+    }
+
+    /**
+     * Validate and rebuild the track, keeping the last good build on errors
+     */
+    rebuild() {
+        const result = TrackValidator.validate(this.trackData);
+        this.showIssues(result);
+
+        if (!result.valid) return false;
+
+        try {
+            this.trackInfo = this.trackLoader.build(this.trackData);
+            return true;
+        } catch (error) {
+            this.showIssues({ errors: [error.message], warnings: [] });
+            return false;
+        }
+    }
+
+    showIssues(result) {
+        this.issuesEl.innerHTML = '';
+
+        [...result.errors.map(text => ({ text, type: 'error' })),
+            ...result.warnings.map(text => ({ text, type: 'warning' }))].forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.type;
+            item.textContent = entry.text;
+            this.issuesEl.appendChild(item);
+        });
+    }
+
+    frameTrack() {
+        if (this.trackInfo) {
+            this.camera.frameBounds(this.trackInfo.bounds);
+        }
+    }
+
+    /**
+     * Download the track as JSON
+     */
+    save() {
+        downloadJSON(this.trackData, `${toFileName(this.trackData.name)}.json`);
+    }
+}
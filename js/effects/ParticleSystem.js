@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { getSurface } from '../track/Surfaces.js';
 
 export class ParticleSystem {
     constructor(renderer) {
@@ -142,6 +143,21 @@ export class ParticleSystem {
         this.emit('smoke', position, new THREE.Vector3(0, 0.1, 0), 2, 0.5, 1.5);
     }
 
+    /**
+     * Emit dust / spray thrown up by a wheel on a loose surface
+     */
+    emitSurface(surfaceName, position, direction) {
+        const effect = getSurface(surfaceName).particles;
+        if (!effect) return;
+
+        const poolName = `surface_${surfaceName}`;
+        if (!this.pools[poolName]) {
+            this.createPool(poolName, 60, effect.color, effect.size);
+        }
+
+        this.emit(poolName, position, direction, 1, 4, 0.6);
+    }
+
     /**
      * Emit boost effect
      */
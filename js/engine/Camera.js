@@ -1,6 +1,6 @@
 /**
  * Camera System
- * Chase camera with smooth following and first-person mode
+ * Chase camera with smooth following, first-person and trackside modes
  */
 
 import * as THREE from 'three';
@@ -16,7 +16,7 @@ export class Camera {
         );
 
         // Camera modes
-        this.mode = 'chase'; // 'chase', 'first-person', 'orbit'
+        this.mode = 'chase'; // 'chase', 'first-person', 'trackside', 'orbit'
 
         // Chase camera settings
         this.chaseDistance = 12;
@@ -27,6 +27,18 @@ export class Camera {
         // First-person settings
         this.fpOffset = new THREE.Vector3(0, 1.5, 0.5);
 
+        // Trackside settings (replays): fixed posts beside the track
+        this.tracksidePosts = [];
+        this.tracksideSpacing = 60;
+        this.tracksideOffset = 12;
+        this.tracksideHeight = 6;
+
+        // Orbit settings (editor)
+        this.orbitTarget = new THREE.Vector3();
+        this.orbitDistance = 100;
+        this.orbitYaw = 0;
+        this.orbitPitch = 1;
+
         // Current position/rotation
         this.currentPosition = new THREE.Vector3(0, 10, 20);
         this.currentLookAt = new THREE.Vector3(0, 0, 0);
@@ -79,6 +91,8 @@ export class Camera {
             this.updateChaseCamera(target, deltaTime);
         } else if (this.mode === 'first-person') {
             this.updateFirstPersonCamera(target);
+        } else if (this.mode === 'trackside') {
+            this.updateTracksideCamera(target);
         }
 
         // Apply shake
@@ -128,6 +142,47 @@ export class Camera {
         this.camera.lookAt(lookAt);
     }
 
+    /**
+     * Place trackside posts along a track's path samples, alternating sides
+     */
+    setTracksidePath(path) {
+        this.tracksidePosts = [];
+
+        let distance = this.tracksideSpacing;
+        path.forEach((sample, i) => {
+            if (i > 0) distance += sample.position.distanceTo(path[i - 1].position);
+            if (distance < this.tracksideSpacing) return;
+            distance = 0;
+
+            const side = this.tracksidePosts.length % 2 === 0 ? 1 : -1;
+            const offset = new THREE.Vector3(sample.forward.z, 0, -sample.forward.x)
+                .normalize()
+                .multiplyScalar(this.tracksideOffset * side);
+            offset.y = this.tracksideHeight;
+
+            this.tracksidePosts.push(sample.position.clone().add(offset));
+        });
+    }
+
+    updateTracksideCamera(target) {
+        if (this.tracksidePosts.length === 0) return;
+
+        // Watch from the nearest post
+        let nearest = this.tracksidePosts[0];
+        this.tracksidePosts.forEach(post => {
+            if (post.distanceToSquared(target.position) < nearest.distanceToSquared(target.position)) {
+                nearest = post;
+            }
+        });
+
+        this.currentPosition.copy(nearest);
+        this.currentLookAt.copy(target.position);
+        this.currentLookAt.y += 1;
+
+        this.camera.position.copy(this.currentPosition);
+        this.camera.lookAt(this.currentLookAt);
+    }
+
     updateFOV(speed, deltaTime) {
         // Increase FOV with speed for dramatic effect
         const speedFactor = Math.min(speed / 200, 1); // Max at 200 km/h
@@ -168,6 +223,48 @@ export class Camera {
         }
     }
 
+    /**
+     * Look down on a bounding box from above (editor overview)
+     */
+    frameBounds(bounds) {
+        const size = bounds.getSize(new THREE.Vector3());
+
+        bounds.getCenter(this.orbitTarget);
+        this.orbitDistance = Math.max(size.x, size.z, 20) * 0.95;
+        this.orbitYaw = 0;
+        this.orbitPitch = 1;
+        this.applyOrbit();
+    }
+
+    /**
+     * Rotate the orbit view around its target
+     */
+    orbit(deltaYaw, deltaPitch) {
+        this.orbitYaw += deltaYaw;
+        this.orbitPitch = Math.max(0.1, Math.min(1.5, this.orbitPitch + deltaPitch));
+        this.applyOrbit();
+    }
+
+    /**
+     * Move the orbit view closer (factor < 1) or further away
+     */
+    zoom(factor) {
+        this.orbitDistance = Math.max(10, Math.min(2000, this.orbitDistance * factor));
+        this.applyOrbit();
+    }
+
+    applyOrbit() {
+        const horizontal = Math.cos(this.orbitPitch) * this.orbitDistance;
+        const t = this.orbitTarget;
+
+        this.setPosition(
+            t.x + Math.sin(this.orbitYaw) * horizontal,
+            t.y + Math.sin(this.orbitPitch) * this.orbitDistance,
+            t.z + Math.cos(this.orbitYaw) * horizontal
+        );
+        this.setLookAt(t.x, t.y, t.z);
+    }
+
     /**
      * Set camera position instantly
      */
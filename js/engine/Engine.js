@@ -17,7 +17,7 @@ export class Engine {
         this.timeScale = 1;
         
         // State
-        this.state = 'loading'; // loading, menu, playing, paused, finished
+        this.state = 'loading'; // loading, menu, playing, paused, finished, replay
         this.previousState = null;
         
         // Systems (set by main.js)
@@ -103,7 +103,7 @@ export class Engine {
         this.lastTime = currentTime;
         
         // Skip updates if paused
-        if (!this.isPaused && this.state === 'playing') {
+        if (!this.isPaused && (this.state === 'playing' || this.state === 'replay')) {
             // Fixed timestep physics
             this.accumulator += this.deltaTime * this.timeScale;
             
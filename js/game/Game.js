@@ -1,5 +1,19 @@
 import * as THREE from 'three';
 import { Timer } from './RaceTimer.js';
+import { Replay } from './Replay.js';
+import { GhostFile } from './GhostFile.js';
+import { TrackLibrary } from '../track/TrackLibrary.js';
+
+// Respawn detection (seconds, metres)
+const KILL_PLANE_DEPTH = 20; // Below the lowest point of the track
+const OFF_TRACK_LIMIT = 1.5;
+const AIRBORNE_LIMIT = 4;
+const RESPAWN_FADE = 0.3;
+
+// Wrong-way detection
+const WRONG_WAY_GRACE = 1.5; // Seconds against the track before warning
+const WRONG_WAY_MIN_SPEED = 5; // m/s, slower cars are still turning around
+const WRONG_WAY_DOT = -0.2; // Heading vs track tangent below this is wrong way
 
 export class Game {
     constructor(engine) {
@@ -20,17 +34,47 @@ export class Game {
         this.totalCheckpoints = 0;
         this.lastCheckpointPosition = null;
         this.lastCheckpointRotation = 0;
+        this.startCheckpoint = 1; // First checkpoint to look for after a reset
+        this.previousPosition = new THREE.Vector3(); // Car position one physics step ago
+
+        // Automatic respawn
+        this.killPlaneY = -Infinity;
+        this.respawnPenalty = 0; // ms added to the clock per respawn
+        this.offTrackTime = 0;
+        this.airborneTime = 0;
+        this.respawnTimer = 0; // Fade-out time left before the car is moved
+
+        // Wrong-way detection
+        this.wrongWayTime = 0;
+        this.isWrongWay = false;
+
+        // Editor test drives start mid-track and never save records
+        this.isTestDrive = false;
 
         // Components (set by main.js)
         this.vehicle = null;
         this.physics = null;
         this.ghostCar = null;
         this.collision = null;
-        this.trackBuilder = null;
+        this.trackLoader = null;
+
+        // Track info from the last build (spawn, checkpoints, bounds)
+        this.trackInfo = null;
 
         // Recording
         this.isRecordingGhost = false;
-        this.currentGhostData = null;
+
+        // Ghosts available on the current track and the ids picked to race against
+        this.ghosts = [];
+        this.selectedGhosts = new Set(['best']);
+
+        // Input replay of the race in progress and of the last finished race
+        this.replay = null;
+        this.lastReplay = null;
+        this.trackHash = null;
+
+        // Reset to checkpoint asked for by the player, done on the next physics step
+        this.resetRequested = false;
 
         // Race control
         this.waitingForStart = false;
@@ -40,38 +84,69 @@ export class Game {
         this.onCheckpoint = null;
         this.onFinish = null;
         this.onBoost = null;
+        this.onFade = null;
+        this.onRespawn = null;
+        this.onWrongWay = null;
     }
 
     /**
      * Load and start a track
      */
     async loadTrack(trackData, trackId) {
+        // Build track (throws on unknown or broken formats)
+        this.applyTrack(trackData, trackId, this.trackLoader.build(trackData));
+    }
+
+    /**
+     * Take race rules, spawn and records from a built track and reset the race
+     */
+    applyTrack(trackData, trackId, trackInfo) {
+        this.trackInfo = trackInfo;
+        this.trackHash = TrackLibrary.hashTrack(trackData);
+
         this.currentTrackId = trackId;
         this.currentTrack = trackData;
-
-        // Build track
-        const trackInfo = this.trackBuilder.build(trackData);
+        this.isTestDrive = false;
+        this.startCheckpoint = 1;
 
         // Set spawn
         this.spawnPosition = trackInfo.spawnPosition;
         this.spawnRotation = trackInfo.spawnRotation;
         this.totalCheckpoints = trackInfo.checkpointCount;
 
+        // Respawn rules
+        this.killPlaneY = trackInfo.bounds.isEmpty() ? -Infinity : trackInfo.bounds.min.y - KILL_PLANE_DEPTH;
+        this.respawnPenalty = (trackData.respawnPenalty || 0) * 1000;
+
         // Load best time
         this.timer.checkBestTime(trackId);
+        this.timer.checkBestLap(trackId);
+        this.timer.loadSplits(trackId);
 
-        // Load ghost
-        if (this.ghostCar) {
-            const ghostData = this.ghostCar.loadGhost(trackId);
-            if (ghostData) {
-                this.currentGhostData = ghostData;
-            }
-        }
+        // Load ghosts
+        this.refreshGhosts();
 
         // Reset race
         this.resetRace();
     }
 
+    /**
+     * Mark the race as an editor test drive, optionally starting from a track piece
+     */
+    setTestDrive(start = null) {
+        this.isTestDrive = true;
+        if (!start) return;
+
+        // A couple of metres in, so the car isn't parked on a gate
+        const forward = new THREE.Vector3(Math.sin(start.direction), 0, Math.cos(start.direction));
+        this.spawnPosition = start.position.clone().addScaledVector(forward, 2);
+        this.spawnPosition.y = start.height + 0.5;
+        this.spawnRotation = start.direction + Math.PI;
+
+        // Gate 0 is the start line, which the normal start skips too
+        this.startCheckpoint = Math.max(start.checkpointIndex, 1);
+    }
+
     /**
      * Reset race to start
      */
@@ -82,17 +157,24 @@ export class Game {
         // Reset physics
         if (this.physics) {
             this.physics.reset(this.spawnPosition, this.spawnRotation);
+            this.previousPosition.copy(this.physics.position);
         }
 
         // Reset timer
         this.timer.reset();
-        this.timer.totalLaps = this.currentTrack?.laps || 1;
+        this.timer.totalLaps = this.trackInfo?.laps || 1;
 
         // Reset checkpoints
-        this.currentCheckpoint = 1; // Skip start line
+        this.currentCheckpoint = this.startCheckpoint; // Skip start line
         this.lastCheckpointPosition = this.spawnPosition.clone();
         this.lastCheckpointRotation = this.spawnRotation;
 
+        // Reset respawn and wrong-way detection
+        this.resetRespawnDetection();
+        this.resetWrongWay();
+        this.resetRequested = false;
+        this.replay = null;
+
         // Reset ghost
         if (this.ghostCar) {
             this.ghostCar.stopPlayback();
@@ -157,34 +239,86 @@ export class Game {
         this.state = 'playing';
         this.waitingForStart = true;
         // Timer starts on first input
+
+        // Record every physics step from here (test drives start off the normal spawn)
+        this.replay = this.isTestDrive ? null : Replay.create({
+            trackId: this.currentTrackId,
+            trackHash: this.trackHash,
+            config: this.physics.config,
+            step: this.engine ? this.engine.fixedDeltaTime : 1 / 60
+        });
     }
 
     /**
-     * Update game logic
+     * Update game logic (per frame, display only)
      */
     update(deltaTime, input) {
+        if (this.state !== 'playing' || this.waitingForStart) return;
+
+        // Update ghost playback
+        if (this.ghostCar && this.ghostCar.isPlaying) {
+            this.ghostCar.update(this.timer.getTime());
+        }
+    }
+
+    /**
+     * Ask for a reset to the last checkpoint on the next physics step
+     */
+    requestReset() {
+        if (this.state === 'playing') this.resetRequested = true;
+    }
+
+    /**
+     * One physics step of the race: the car, then everything that moves it
+     * or times the race. Nothing here depends on the frame rate, so feeding
+     * a replay's inputs back through it reproduces the run exactly.
+     */
+    fixedUpdate(deltaTime, input) {
         if (this.state !== 'playing') return;
 
+        const reset = this.resetRequested;
+        this.resetRequested = false;
+
+        if (this.replay) this.replay.record(input, reset);
+        if (reset) this.resetToCheckpoint();
+
+        this.physics.update(input, deltaTime, this.collision);
+        this.updateRace(deltaTime, input);
+    }
+
+    /**
+     * Race logic after the physics step: the race clock advances here and
+     * fast cars can't skip past a gate between frames
+     */
+    updateRace(deltaTime, input) {
+        const from = this.previousPosition.clone();
+        this.previousPosition.copy(this.physics.position);
+
         // Wait for input to start timer
         if (this.waitingForStart) {
             if (input.throttle > 0 || input.brake > 0 || input.steer !== 0) {
-                this.waitingForStart = false;
-                this.timer.start();
-
-                // Start ghost recording/playback now
-                if (this.ghostCar) {
-                    this.ghostCar.startRecording();
-                    if (this.currentGhostData) {
-                        this.ghostCar.startPlayback(this.currentGhostData);
-                    }
-                }
+                this.startTimer();
             } else {
                 return; // Wait
             }
         }
 
-        // Update timer
-        this.timer.update();
+        const stepStart = this.timer.getTime();
+        this.timer.advance(deltaTime * 1000);
+
+        // Check checkpoints along the step's path, timed to the crossing
+        const checkpoint = this.collision.checkCheckpoint(from, this.physics.position);
+        if (checkpoint.hit) {
+            this.handleCheckpoint(checkpoint, stepStart + checkpoint.fraction * deltaTime * 1000);
+            if (this.soundManager) this.soundManager.playCheckpoint(); // Direct call
+        }
+        if (this.state !== 'playing') return; // Finished
+
+        // Fell off or stuck away from the road
+        this.updateRespawn(deltaTime);
+
+        // Driving against the track
+        this.updateWrongWay(deltaTime);
 
         // Check boost pads
         const boost = this.collision.checkBoostPad(this.physics.position);
@@ -194,13 +328,6 @@ export class Game {
             if (this.soundManager) this.soundManager.playBoost(); // Direct call
         }
 
-        // Check checkpoints
-        const checkpoint = this.collision.checkCheckpoint(this.physics.position);
-        if (checkpoint.hit) {
-            this.handleCheckpoint(checkpoint);
-            if (this.soundManager) this.soundManager.playCheckpoint(); // Direct call
-        }
-
         // Record ghost
         if (this.ghostCar && this.ghostCar.isRecording) {
             this.ghostCar.recordFrame(
@@ -210,19 +337,118 @@ export class Game {
             );
         }
 
-        // Update ghost playback
-        if (this.ghostCar && this.ghostCar.isPlaying) {
-            this.ghostCar.update(this.timer.getTime());
-        }
-
         // Check barrier collisions
-        const barrier = this.collision.checkBarrierCollision(this.physics.boundingBox);
+        const barrier = this.collision.checkBarrierCollision(this.physics.orientedBox);
         if (barrier.collided) {
-            this.physics.applyCollision(barrier.normal, barrier.penetration);
+            this.physics.applyCollision(barrier.normal, barrier.penetration, barrier.point);
+        }
+
+        // Keep the car under tunnel roofs
+        const ceiling = this.collision.checkCeilingCollision(this.physics.position, this.physics.size.y / 2);
+        if (ceiling.collided) {
+            this.physics.applyCollision(ceiling.normal, ceiling.penetration);
+        }
+    }
+
+    /**
+     * Reload the ghosts available on the current track
+     */
+    refreshGhosts() {
+        this.ghosts = this.ghostCar ? this.ghostCar.listGhosts(this.currentTrackId, this.timer.bestTime) : [];
+    }
+
+    setGhostSelected(id, selected) {
+        if (selected) {
+            this.selectedGhosts.add(id);
+        } else {
+            this.selectedGhosts.delete(id);
+        }
+    }
+
+    getSelectedGhosts() {
+        return this.ghosts.filter(ghost => this.selectedGhosts.has(ghost.id));
+    }
+
+    /**
+     * Keep a ghost (usually the last attempt) as a target ghost for the track
+     */
+    keepGhost(id) {
+        const ghost = this.ghosts.find(g => g.id === id);
+        if (!ghost || !this.ghostCar) return;
+
+        const keptId = this.ghostCar.addSavedGhost(this.currentTrackId, {
+            kind: 'target',
+            name: `TARGET ${Timer.formatTime(ghost.time)}`,
+            time: ghost.time,
+            frames: ghost.frames
+        });
+
+        this.selectedGhosts.add(keptId);
+        this.refreshGhosts();
+    }
+
+    removeGhost(id) {
+        if (!this.ghostCar) return;
+
+        this.ghostCar.removeSavedGhost(this.currentTrackId, id);
+        this.selectedGhosts.delete(id);
+        this.refreshGhosts();
+    }
+
+    /**
+     * Add a ghost from a parsed ghost file, if it was recorded on this exact track
+     */
+    importGhost(ghostFile) {
+        if (!this.ghostCar) return null;
+
+        if (ghostFile.trackHash !== this.trackHash) {
+            throw new Error('Ghost was recorded on a different version of this track');
+        }
+
+        const id = this.ghostCar.addSavedGhost(this.currentTrackId, {
+            kind: 'imported',
+            name: ghostFile.driver.toUpperCase(),
+            time: ghostFile.time,
+            frames: ghostFile.frames,
+            driver: ghostFile.driver
+        });
+
+        this.selectedGhosts.add(id);
+        this.refreshGhosts();
+        return id;
+    }
+
+    /**
+     * Ghost file data for a ghost; driver names the player's own runs
+     */
+    exportGhost(id, driver) {
+        const ghost = this.ghosts.find(g => g.id === id);
+        if (!ghost) return null;
+
+        return GhostFile.create({
+            trackId: this.currentTrackId,
+            trackHash: this.trackHash,
+            time: ghost.time,
+            driver: ghost.driver || driver,
+            frames: ghost.frames
+        });
+    }
+
+    startTimer() {
+        this.waitingForStart = false;
+        this.timer.start();
+
+        // Start ghost recording/playback now
+        if (this.ghostCar) {
+            this.ghostCar.startRecording();
+            this.ghostCar.startPlayback(this.getSelectedGhosts());
         }
     }
 
-    handleCheckpoint(checkpoint) {
+    /**
+     * time is the race time the gate was crossed at
+     */
+    handleCheckpoint(checkpoint, time) {
         // Must hit checkpoints in order (with wrapping)
         // If total is 0 (no checkpoints), ignore
         if (this.totalCheckpoints === 0) return;
@@ -236,34 +462,48 @@ export class Game {
 
         this.currentCheckpoint++;
 
+        // Split against the best race (test drives may start mid-track, so skip them)
+        let split = null;
+        if (!this.isTestDrive) {
+            split = this.timer.recordSplit(time);
+            if (split.isBestSector) {
+                this.timer.saveSplits(this.currentTrackId);
+            }
+        }
+
         if (this.onCheckpoint) {
-            this.onCheckpoint(checkpoint.index, checkpoint.isFinish);
+            this.onCheckpoint(checkpoint.index, checkpoint.isFinish, split);
         }
 
         // Check if finish line
         if (checkpoint.isFinish) {
-            this.handleFinish();
+            this.handleFinish(time);
         }
     }
 
-    handleFinish() {
+    handleFinish(time) {
         // Check if final lap
         if (this.timer.currentLap >= this.timer.totalLaps) {
-            this.finishRace();
+            this.timer.recordLap(time);
+            this.finishRace(time);
         } else {
             // Record lap, continue racing
-            this.timer.recordLap();
-            this.currentCheckpoint = 0;
+            this.timer.recordLap(time);
+            this.currentCheckpoint = 1; // Gate 0 was just crossed, the next lap starts at gate 1
         }
     }
 
     /**
-     * Finish the race
+     * Finish the race (at the exact crossing time when given)
      */
-    finishRace() {
-        const finalTime = this.timer.stop();
+    finishRace(time) {
+        const finalTime = this.timer.stop(time);
         this.state = 'finished';
 
+        // Keep the run's inputs for replays (test drives have none)
+        this.lastReplay = this.replay ? this.replay.finish(finalTime, this.physics) : null;
+        this.replay = null;
+
         // Stop ghost recording
         let ghostData = null;
         if (this.ghostCar) {
@@ -271,27 +511,150 @@ export class Game {
             this.ghostCar.stopPlayback();
         }
 
-        // Check for new record
-        const isNewRecord = this.timer.saveBestTime(this.currentTrackId, finalTime);
+        // Check for new records (laps compare against the record before this race)
+        const previousBestLap = this.timer.bestLapTime;
+        const isNewRecord = !this.isTestDrive && this.timer.saveBestTime(this.currentTrackId, finalTime);
+        const isNewLapRecord = !this.isTestDrive && this.timer.saveBestLap(this.currentTrackId);
 
-        // Save ghost if new record
-        if (isNewRecord && ghostData && this.ghostCar) {
-            this.ghostCar.saveGhost(this.currentTrackId, ghostData);
-            this.currentGhostData = ghostData;
+        if (isNewRecord) {
+            this.timer.saveSplits(this.currentTrackId, true);
+        }
+
+        // Save ghost if new record, and keep every finished run as the last attempt
+        if (ghostData && this.ghostCar && !this.isTestDrive) {
+            if (isNewRecord) {
+                this.ghostCar.saveGhost(this.currentTrackId, ghostData);
+            }
+            this.ghostCar.setLastAttempt(this.currentTrackId, finalTime, ghostData);
+            this.refreshGhosts();
         }
 
         if (this.onFinish) {
-            this.onFinish(finalTime, this.timer.bestTime, isNewRecord);
+            this.onFinish(finalTime, this.timer.bestTime, isNewRecord, this.getResults(previousBestLap, isNewLapRecord));
         }
     }
 
     /**
-     * Reset to last checkpoint
+     * Lap-by-lap breakdown of the finished race for the results screen
+     */
+    getResults(previousBestLap, isNewLapRecord) {
+        const lapTimes = this.timer.lapTimes;
+        const fastest = Math.min(...lapTimes);
+
+        return {
+            laps: lapTimes.map((time, i) => ({
+                lap: i + 1,
+                time: time,
+                delta: previousBestLap !== null ? time - previousBestLap : null,
+                isFastest: lapTimes.length > 1 && time === fastest,
+                splits: this.timer.splits.filter(split => split.lap === i + 1)
+            })),
+            bestLapTime: this.timer.bestLapTime,
+            isNewLapRecord: isNewLapRecord
+        };
+    }
+
+    /**
+     * Start a respawn after falling below the track, staying off the road
+     * or flying for too long
+     */
+    updateRespawn(deltaTime) {
+        if (this.respawnTimer > 0) {
+            this.respawnTimer -= deltaTime;
+            if (this.respawnTimer <= 0) {
+                this.respawnTimer = 0;
+                if (this.onFade) this.onFade(false);
+                this.resetToCheckpoint();
+            }
+            return;
+        }
+
+        const onTrack = this.physics.checkTrackBounds(this.collision);
+        this.offTrackTime = onTrack ? 0 : this.offTrackTime + deltaTime;
+        this.airborneTime = this.physics.isGrounded ? 0 : this.airborneTime + deltaTime;
+
+        if (this.physics.position.y < this.killPlaneY ||
+            this.offTrackTime > OFF_TRACK_LIMIT ||
+            this.airborneTime > AIRBORNE_LIMIT) {
+            this.respawnTimer = RESPAWN_FADE;
+            if (this.onFade) this.onFade(true);
+        }
+    }
+
+    resetRespawnDetection() {
+        if (this.respawnTimer > 0 && this.onFade) this.onFade(false);
+
+        this.offTrackTime = 0;
+        this.airborneTime = 0;
+        this.respawnTimer = 0;
+    }
+
+    /**
+     * Flag driving against the track direction for longer than a grace period
+     */
+    updateWrongWay(deltaTime) {
+        const path = this.trackInfo?.path;
+        if (!path || path.length === 0) return;
+
+        // Only judge an upright car that is driving forwards (loops flip the heading)
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.physics.quaternion);
+        if (!this.physics.isGrounded || up.y < 0.5 || this.physics.speed < WRONG_WAY_MIN_SPEED) return;
+
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.physics.quaternion);
+        const wrongWay = forward.dot(this.getTrackTangent(this.physics.position)) < WRONG_WAY_DOT;
+
+        this.wrongWayTime = wrongWay ? this.wrongWayTime + deltaTime : 0;
+        this.setWrongWay(this.wrongWayTime > WRONG_WAY_GRACE);
+    }
+
+    /**
+     * Driving direction of the track centre line nearest to position
+     */
+    getTrackTangent(position) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const sample of this.trackInfo.path) {
+            const distance = sample.position.distanceToSquared(position);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = sample;
+            }
+        }
+
+        return nearest.forward;
+    }
+
+    setWrongWay(active) {
+        if (active === this.isWrongWay) return;
+
+        this.isWrongWay = active;
+        if (this.onWrongWay) this.onWrongWay(active);
+    }
+
+    resetWrongWay() {
+        this.wrongWayTime = 0;
+        this.setWrongWay(false);
+    }
+
+    /**
+     * Reset to last checkpoint, adding the track's respawn penalty
      */
     resetToCheckpoint() {
         if (this.state !== 'playing') return;
 
         this.physics.reset(this.lastCheckpointPosition, this.lastCheckpointRotation);
+        this.previousPosition.copy(this.physics.position);
+        this.resetRespawnDetection();
+        this.resetWrongWay();
+
+        if (this.respawnPenalty > 0 && this.timer.isRunning) {
+            this.timer.addPenalty(this.respawnPenalty);
+        }
+
+        if (this.onRespawn) {
+            this.onRespawn(this.timer.isRunning ? this.respawnPenalty : 0);
+        }
     }
 
     /**
@@ -333,6 +696,13 @@ export class Game {
         return this.timer.getFormattedBestTime();
     }
 
+    /**
+     * Get formatted theoretical best (sum of best sectors)
+     */
+    getFormattedTheoreticalBest() {
+        return this.timer.getFormattedTheoreticalBest();
+    }
+
     /**
      * Get lap info
      */
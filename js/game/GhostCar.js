@@ -1,37 +1,41 @@
 /**
  * Ghost Car System
- * Records and replays player's best run
+ * Records the player's runs and plays back any number of ghosts at once:
+ * personal best, last attempt, kept targets and imported runs
  */
 
 import * as THREE from 'three';
 
-export class GhostCar {
-    constructor(renderer) {
-        this.renderer = renderer;
+// Ghost colours by kind; imported ghosts take turns through the palette
+const GHOST_COLORS = {
+    best: 0x00ffaa,
+    last: 0xffffff,
+    target: 0xffcc00
+};
+const IMPORTED_COLORS = [0xff66cc, 0x66aaff, 0xff9933, 0xaa66ff, 0x66ffff];
 
-        // Recording state
-        this.isRecording = false;
-        this.isPlaying = false;
-        this.recordedData = [];
+/**
+ * One ghost on track: its own mesh, name label and playback position
+ */
+class GhostPlayback {
+    constructor(ghost) {
+        this.ghost = ghost;
+        this.frames = ghost.frames;
         this.playbackIndex = 0;
-        this.recordInterval = 50; // ms between samples
-        this.lastRecordTime = 0;
-
-        // Ghost car visual
-        this.ghostMesh = null;
-        this.visible = true;
+        this.isPlaying = false;
 
-        this.createGhostCar();
+        this.mesh = GhostPlayback.createMesh(ghost.color, ghost.name);
+        this.mesh.visible = false;
     }
 
-    createGhostCar() {
+    static createMesh(color, name) {
         // Create semi-transparent ghost car
         const group = new THREE.Group();
 
         // Simplified car body
         const bodyGeo = new THREE.BoxGeometry(1.4, 0.6, 3);
         const bodyMat = new THREE.MeshLambertMaterial({
-            color: 0x00ffaa,
+            color: color,
             transparent: true,
             opacity: 0.3,
             flatShading: true
@@ -46,8 +50,127 @@ export class GhostCar {
         cabin.position.set(0, 0.9, 0);
         group.add(cabin);
 
-        this.ghostMesh = group;
-        this.ghostMesh.visible = false;
+        // Name label above the car
+        const label = GhostPlayback.createLabel(name, color);
+        label.position.y = 2.2;
+        group.add(label);
+
+        return group;
+    }
+
+    static createLabel(name, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+
+        const ctx = canvas.getContext('2d');
+        ctx.font = 'bold 36px Rajdhani, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
+        ctx.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width);
+
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthWrite: false
+        });
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(4, 1, 1);
+        return sprite;
+    }
+
+    start(visible) {
+        this.isPlaying = this.frames.length > 0;
+        this.playbackIndex = 0;
+        this.mesh.visible = this.isPlaying && visible;
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.mesh.visible = false;
+    }
+
+    update(currentTime) {
+        if (!this.isPlaying) return;
+
+        const frames = this.frames;
+
+        // Find current frame
+        while (this.playbackIndex < frames.length - 1 &&
+            frames[this.playbackIndex + 1].time <= currentTime) {
+            this.playbackIndex++;
+        }
+
+        // Check if finished
+        if (this.playbackIndex >= frames.length - 1) {
+            this.stop();
+            return;
+        }
+
+        // Interpolate between frames
+        const frame1 = frames[this.playbackIndex];
+        const frame2 = frames[this.playbackIndex + 1];
+
+        const t = (currentTime - frame1.time) / (frame2.time - frame1.time);
+        const clampedT = Math.max(0, Math.min(1, t));
+
+        // Interpolate position
+        this.mesh.position.set(
+            frame1.position.x + (frame2.position.x - frame1.position.x) * clampedT,
+            frame1.position.y + (frame2.position.y - frame1.position.y) * clampedT,
+            frame1.position.z + (frame2.position.z - frame1.position.z) * clampedT
+        );
+
+        // Interpolate rotation (slerp)
+        const q1 = new THREE.Quaternion(
+            frame1.quaternion.x,
+            frame1.quaternion.y,
+            frame1.quaternion.z,
+            frame1.quaternion.w
+        );
+        const q2 = new THREE.Quaternion(
+            frame2.quaternion.x,
+            frame2.quaternion.y,
+            frame2.quaternion.z,
+            frame2.quaternion.w
+        );
+
+        this.mesh.quaternion.copy(q1).slerp(q2, clampedT);
+    }
+
+    dispose() {
+        this.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+}
+
+export class GhostCar {
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        // Recording state
+        this.isRecording = false;
+        this.recordedData = [];
+        this.recordInterval = 50; // ms between samples
+        this.lastRecordTime = 0;
+
+        // Playback instances, one per ghost shown
+        this.ghosts = [];
+        this.scene = null;
+        this.visible = true;
+
+        // Last finished run by track id (this session only)
+        this.lastAttempts = {};
+    }
+
+    get isPlaying() {
+        return this.ghosts.some(ghost => ghost.isPlaying);
     }
 
     /**
@@ -95,78 +218,84 @@ export class GhostCar {
     }
 
     /**
-     * Start playback
+     * Play the given ghosts (entries from listGhosts) from the start,
+     * replacing the ones shown before
      */
-    startPlayback(data) {
-        if (data) {
-            this.recordedData = data;
-        }
-
-        if (this.recordedData.length === 0) {
-            this.isPlaying = false;
-            return;
-        }
-
-        this.isPlaying = true;
-        this.playbackIndex = 0;
-        this.ghostMesh.visible = this.visible;
+    startPlayback(ghosts) {
+        this.clearPlayback();
+
+        ghosts.forEach(ghost => {
+            const playback = new GhostPlayback(ghost);
+            if (this.scene) this.scene.add(playback.mesh);
+            playback.start(this.visible);
+            this.ghosts.push(playback);
+        });
     }
 
     /**
      * Stop playback
      */
     stopPlayback() {
-        this.isPlaying = false;
-        this.ghostMesh.visible = false;
+        this.ghosts.forEach(ghost => ghost.stop());
+    }
+
+    clearPlayback() {
+        this.ghosts.forEach(ghost => {
+            if (this.scene) this.scene.remove(ghost.mesh);
+            ghost.dispose();
+        });
+        this.ghosts = [];
+    }
+
+    /**
+     * Jump every ghost to a race time, backwards too (replay scrubbing)
+     */
+    seek(currentTime) {
+        this.ghosts.forEach(ghost => {
+            ghost.start(this.visible);
+            ghost.update(currentTime);
+        });
     }
 
     /**
      * Update ghost playback
      */
     update(currentTime) {
-        if (!this.isPlaying || this.recordedData.length === 0) return;
+        this.ghosts.forEach(ghost => ghost.update(currentTime));
+    }
 
-        // Find current frame
-        while (this.playbackIndex < this.recordedData.length - 1 &&
-            this.recordedData[this.playbackIndex + 1].time <= currentTime) {
-            this.playbackIndex++;
-        }
+    /**
+     * Ghosts available on a track, each { id, kind, name, time, frames, color }
+     * plus driver for imported ghosts
+     * bestTime is the personal best time to show with the best ghost
+     */
+    listGhosts(trackId, bestTime = null) {
+        const ghosts = [];
 
-        // Check if finished
-        if (this.playbackIndex >= this.recordedData.length - 1) {
-            this.stopPlayback();
-            return;
+        const best = this.loadGhost(trackId);
+        if (best) {
+            ghosts.push({ id: 'best', kind: 'best', name: 'PERSONAL BEST', time: bestTime, frames: best });
         }
 
-        // Interpolate between frames
-        const frame1 = this.recordedData[this.playbackIndex];
-        const frame2 = this.recordedData[this.playbackIndex + 1];
+        const last = this.lastAttempts[trackId];
+        if (last) {
+            ghosts.push({ id: 'last', kind: 'last', name: 'LAST ATTEMPT', time: last.time, frames: last.frames });
+        }
 
-        const t = (currentTime - frame1.time) / (frame2.time - frame1.time);
-        const clampedT = Math.max(0, Math.min(1, t));
+        ghosts.push(...this.loadSavedGhosts(trackId));
 
-        // Interpolate position
-        this.ghostMesh.position.set(
-            frame1.position.x + (frame2.position.x - frame1.position.x) * clampedT,
-            frame1.position.y + (frame2.position.y - frame1.position.y) * clampedT,
-            frame1.position.z + (frame2.position.z - frame1.position.z) * clampedT
-        );
+        let imported = 0;
+        ghosts.forEach(ghost => {
+            ghost.color = ghost.kind === 'imported'
+                ? IMPORTED_COLORS[imported++ % IMPORTED_COLORS.length]
+                : GHOST_COLORS[ghost.kind];
+        });
 
-        // Interpolate rotation (slerp)
-        const q1 = new THREE.Quaternion(
-            frame1.quaternion.x,
-            frame1.quaternion.y,
-            frame1.quaternion.z,
-            frame1.quaternion.w
-        );
-        const q2 = new THREE.Quaternion(
-            frame2.quaternion.x,
-            frame2.quaternion.y,
-            frame2.quaternion.z,
-            frame2.quaternion.w
-        );
+        return ghosts;
+    }
 
-        this.ghostMesh.quaternion.copy(q1).slerp(q2, clampedT);
+    setLastAttempt(trackId, time, frames) {
+        this.lastAttempts[trackId] = { time, frames };
     }
 
     /**
@@ -195,18 +324,56 @@ export class GhostCar {
         return null;
     }
 
+    /**
+     * Kept and imported ghosts of a track, each { id, kind, name, time, frames, driver }
+     */
+    loadSavedGhosts(trackId) {
+        try {
+            return JSON.parse(localStorage.getItem(`polyracer_ghosts_${trackId}`)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Store a ghost ({ kind, name, time, frames, driver }) with the track, returning its id
+     */
+    addSavedGhost(trackId, ghost) {
+        const ghosts = this.loadSavedGhosts(trackId);
+        const id = `${ghost.kind}_${Date.now().toString(36)}_${ghosts.length}`;
+
+        ghosts.push({
+            id: id,
+            kind: ghost.kind,
+            name: ghost.name,
+            time: ghost.time,
+            frames: ghost.frames,
+            driver: ghost.driver || null
+        });
+        localStorage.setItem(`polyracer_ghosts_${trackId}`, JSON.stringify(ghosts));
+
+        return id;
+    }
+
+    removeSavedGhost(trackId, id) {
+        const ghosts = this.loadSavedGhosts(trackId).filter(ghost => ghost.id !== id);
+        localStorage.setItem(`polyracer_ghosts_${trackId}`, JSON.stringify(ghosts));
+    }
+
     /**
      * Add to scene
      */
     addToScene(scene) {
-        scene.add(this.ghostMesh);
+        this.scene = scene;
+        this.ghosts.forEach(ghost => scene.add(ghost.mesh));
     }
 
     /**
      * Remove from scene
      */
     removeFromScene(scene) {
-        scene.remove(this.ghostMesh);
+        this.ghosts.forEach(ghost => scene.remove(ghost.mesh));
+        this.scene = null;
     }
 
     /**
@@ -214,8 +381,8 @@ export class GhostCar {
      */
     setVisible(visible) {
         this.visible = visible;
-        if (this.isPlaying) {
-            this.ghostMesh.visible = visible;
-        }
+        this.ghosts.forEach(ghost => {
+            if (ghost.isPlaying) ghost.mesh.visible = visible;
+        });
     }
 }
@@ -0,0 +1,73 @@
+/**
+ * Ghost File
+ * Shareable ghost runs: the frames of one run plus the track and driver it belongs to
+ */
+
+export const GHOST_FILE_FORMAT = 'polyracer-ghost';
+export const GHOST_FILE_VERSION = 1;
+
+const MAX_DRIVER_NAME = 16;
+
+export class GhostFile {
+    /**
+     * Ghost file data for a run
+     */
+    static create({ trackId, trackHash, time, driver, frames }) {
+        return {
+            format: GHOST_FILE_FORMAT,
+            version: GHOST_FILE_VERSION,
+            trackId: trackId,
+            trackHash: trackHash,
+            time: time,
+            driver: driver,
+            frames: frames
+        };
+    }
+
+    /**
+     * Check parsed JSON is a ghost file this version can race
+     * Throws an Error describing the first problem found
+     */
+    static parse(data) {
+        if (!data || data.format !== GHOST_FILE_FORMAT) {
+            throw new Error('Not a ghost file');
+        }
+        if (!Number.isInteger(data.version) || data.version > GHOST_FILE_VERSION) {
+            throw new Error(`Ghost file version ${data.version} is not supported (latest is ${GHOST_FILE_VERSION})`);
+        }
+        if (typeof data.trackHash !== 'string') {
+            throw new Error('Ghost file has no track hash');
+        }
+        if (typeof data.time !== 'number' || !(data.time > 0)) {
+            throw new Error('Ghost file has no run time');
+        }
+        if (!Array.isArray(data.frames) || data.frames.length < 2) {
+            throw new Error('Ghost file has no frames');
+        }
+
+        let previousTime = -Infinity;
+        data.frames.forEach((frame, i) => {
+            if (!GhostFile.isFrame(frame) || frame.time < previousTime) {
+                throw new Error(`Ghost file frame ${i + 1} is broken`);
+            }
+            previousTime = frame.time;
+        });
+
+        const driver = typeof data.driver === 'string' ? data.driver.trim().slice(0, MAX_DRIVER_NAME) : '';
+
+        return {
+            ...data,
+            trackId: typeof data.trackId === 'string' ? data.trackId : null,
+            driver: driver || 'UNKNOWN'
+        };
+    }
+
+    static isFrame(frame) {
+        const finite = (object, keys) => !!object && keys.every(key => Number.isFinite(object[key]));
+
+        return !!frame &&
+            Number.isFinite(frame.time) &&
+            finite(frame.position, ['x', 'y', 'z']) &&
+            finite(frame.quaternion, ['x', 'y', 'z', 'w']);
+    }
+}
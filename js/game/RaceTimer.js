@@ -1,40 +1,49 @@
 /**
  * Timer System
- * High-precision timing for races
+ * Race clock driven by simulation time: it only moves when the game steps
+ * physics, so pauses and background tabs don't count and runs are reproducible
  */
 
 export class Timer {
     constructor() {
-        this.startTime = 0;
         this.currentTime = 0;
         this.lapTimes = [];
         this.bestTime = null;
+        this.bestLapTime = null;
         this.isRunning = false;
 
         // Lap state
         this.currentLap = 0;
         this.totalLaps = 1;
         this.lapStartTime = 0;
+
+        // Checkpoint splits of this race { index, lap, time, sector, delta, isBestSector }
+        this.splits = [];
+
+        // Saved per track: split times of the best race and best time of
+        // every sector (time between two splits) from any race
+        this.bestSplits = null;
+        this.bestSectors = [];
     }
 
     /**
      * Start the timer
      */
     start() {
-        this.startTime = performance.now();
-        this.lapStartTime = this.startTime;
+        this.lapStartTime = 0;
         this.currentTime = 0;
         this.lapTimes = [];
+        this.splits = [];
         this.currentLap = 1;
         this.isRunning = true;
     }
 
     /**
-     * Stop the timer
+     * Stop the timer, optionally at an exact time inside the last step
      */
-    stop() {
+    stop(at = this.currentTime) {
         if (this.isRunning) {
-            this.currentTime = performance.now() - this.startTime;
+            this.currentTime = at;
             this.isRunning = false;
         }
         return this.currentTime;
@@ -44,38 +53,86 @@ export class Timer {
      * Reset the timer
      */
     reset() {
-        this.startTime = 0;
         this.currentTime = 0;
         this.lapTimes = [];
+        this.splits = [];
         this.currentLap = 0;
         this.isRunning = false;
     }
 
     /**
-     * Update timer (call each frame)
+     * Advance the clock by one simulation step (call each physics step)
      */
-    update() {
+    advance(ms) {
         if (this.isRunning) {
-            this.currentTime = performance.now() - this.startTime;
+            this.currentTime += ms;
         }
     }
 
     /**
-     * Record lap time
+     * Record lap time, optionally at an exact time inside the last step
      */
-    recordLap() {
+    recordLap(at = this.currentTime) {
         if (!this.isRunning) return null;
 
-        const now = performance.now();
-        const lapTime = now - this.lapStartTime;
+        const lapTime = at - this.lapStartTime;
 
         this.lapTimes.push(lapTime);
-        this.lapStartTime = now;
+        this.lapStartTime = at;
         this.currentLap++;
 
         return lapTime;
     }
 
+    /**
+     * Record a checkpoint split, with its delta to the best race's split
+     * (null without one) and whether it set a new best sector
+     */
+    recordSplit(at = this.currentTime) {
+        const index = this.splits.length;
+        const sector = at - (index > 0 ? this.splits[index - 1].time : 0);
+        const bestSplit = this.bestSplits ? this.bestSplits[index] : undefined;
+        const isBestSector = this.bestSectors[index] === undefined || sector < this.bestSectors[index];
+
+        if (isBestSector) {
+            this.bestSectors[index] = sector;
+        }
+
+        const split = {
+            index: index,
+            lap: this.currentLap,
+            time: at,
+            sector: sector,
+            delta: bestSplit !== undefined ? at - bestSplit : null,
+            isBestSector: isBestSector
+        };
+        this.splits.push(split);
+
+        return split;
+    }
+
+    /**
+     * Sum of the best sectors over a whole race, or null until every
+     * sector of the best race has a time
+     */
+    getTheoreticalBest() {
+        if (!this.bestSplits) return null;
+
+        const sectors = this.bestSectors.slice(0, this.bestSplits.length);
+        if (sectors.length < this.bestSplits.length) return null;
+
+        return sectors.reduce((total, sector) => total + sector, 0);
+    }
+
+    /**
+     * Add time to the race and current lap (respawn penalties)
+     */
+    addPenalty(ms) {
+        if (!this.isRunning) return;
+
+        this.currentTime += ms;
+    }
+
     /**
      * Check if race is finished
      */
@@ -95,7 +152,7 @@ export class Timer {
      */
     getCurrentLapTime() {
         if (!this.isRunning) return 0;
-        return performance.now() - this.lapStartTime;
+        return this.currentTime - this.lapStartTime;
     }
 
     /**
@@ -129,6 +186,70 @@ export class Timer {
         return false;
     }
 
+    /**
+     * Set and check best lap time
+     */
+    checkBestLap(trackId) {
+        const saved = localStorage.getItem(`polyracer_bestlap_${trackId}`);
+        this.bestLapTime = saved ? parseFloat(saved) : null;
+        return this.bestLapTime;
+    }
+
+    /**
+     * Save the race's fastest lap if it is a new lap record
+     */
+    saveBestLap(trackId) {
+        if (this.lapTimes.length === 0) return false;
+
+        const fastest = Math.min(...this.lapTimes);
+        if (this.bestLapTime === null || fastest < this.bestLapTime) {
+            localStorage.setItem(`polyracer_bestlap_${trackId}`, fastest.toString());
+            this.bestLapTime = fastest;
+            return true; // New lap record
+        }
+
+        return false;
+    }
+
+    /**
+     * Load best splits and sectors for a track
+     */
+    loadSplits(trackId) {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(`polyracer_splits_${trackId}`));
+        } catch (e) {
+            saved = null;
+        }
+
+        this.bestSplits = saved?.splits || null;
+        this.bestSectors = saved?.sectors || [];
+    }
+
+    /**
+     * Save best sectors, and this race's splits when it was a new record
+     */
+    saveSplits(trackId, isNewRecord = false) {
+        if (isNewRecord) {
+            this.bestSplits = this.splits.map(split => split.time);
+        }
+
+        localStorage.setItem(`polyracer_splits_${trackId}`, JSON.stringify({
+            splits: this.bestSplits,
+            sectors: this.bestSectors
+        }));
+    }
+
+    /**
+     * Format a time difference to string (+S.mmm / -S.mmm)
+     */
+    static formatDelta(ms) {
+        if (ms === null || ms === undefined) return '';
+
+        const sign = ms < 0 ? '-' : '+';
+        return `${sign}${(Math.abs(ms) / 1000).toFixed(3)}`;
+    }
+
     /**
      * Format time to string (MM:SS.mmm)
      */
@@ -156,4 +277,11 @@ export class Timer {
     getFormattedBestTime() {
         return Timer.formatTime(this.bestTime);
     }
+
+    /**
+     * Get formatted theoretical best
+     */
+    getFormattedTheoreticalBest() {
+        return Timer.formatTime(this.getTheoreticalBest());
+    }
 }
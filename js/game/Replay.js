@@ -0,0 +1,86 @@
+/**
+ * Replay
+ * Input recording of a race: the input of every physics step, with the
+ * track and car settings needed to re-simulate it exactly
+ */
+
+// Bump when the recorded data changes shape
+export const REPLAY_VERSION = 1;
+
+export class Replay {
+    constructor(data) {
+        this.version = data.version;
+        this.trackId = data.trackId;
+        this.trackHash = data.trackHash; // TrackLibrary.hashTrack of the track data
+        this.config = data.config; // VehiclePhysics config
+        this.step = data.step; // Physics step in seconds
+        this.inputs = data.inputs; // [throttle, brake, steer, drift, reset] per step
+        this.time = data.time ?? null; // Finish time in ms
+        this.finalState = data.finalState ?? null; // Car position and quaternion at the finish
+    }
+
+    static create({ trackId, trackHash, config, step }) {
+        return new Replay({
+            version: REPLAY_VERSION,
+            trackId: trackId,
+            trackHash: trackHash,
+            config: { ...config },
+            step: step,
+            inputs: []
+        });
+    }
+
+    /**
+     * Add one physics step's input
+     */
+    record(input, reset = false) {
+        this.inputs.push([input.throttle, input.brake, input.steer, input.drift ? 1 : 0, reset ? 1 : 0]);
+    }
+
+    /**
+     * Input of a physics step, shaped like InputManager.getInput()
+     */
+    getInput(tick) {
+        const [throttle, brake, steer, drift, reset] = this.inputs[tick];
+        return { throttle, brake, steer, drift: drift === 1, reset: reset === 1 };
+    }
+
+    /**
+     * Close the recording at the finish
+     */
+    finish(time, physics) {
+        this.time = time;
+        this.finalState = Replay.captureState(physics);
+        return this;
+    }
+
+    /**
+     * Car position and quaternion as plain numbers, for exact comparison
+     */
+    static captureState(physics) {
+        return [...physics.position.toArray(), ...physics.quaternion.toArray()];
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            trackId: this.trackId,
+            trackHash: this.trackHash,
+            config: this.config,
+            step: this.step,
+            inputs: this.inputs,
+            time: this.time,
+            finalState: this.finalState
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.inputs)) {
+            throw new Error('Not a replay');
+        }
+        if (data.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${data.version} is not supported (latest is ${REPLAY_VERSION})`);
+        }
+        return new Replay(data);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Replay Simulator
+ * Re-runs a replay's inputs through a fresh car and race on the loaded track
+ */
+
+import { Game } from './Game.js';
+import { Replay } from './Replay.js';
+import { VehiclePhysics } from '../physics/VehiclePhysics.js';
+
+export class ReplaySimulator {
+    /**
+     * game is the live game, whose loaded track and collision are reused
+     * onStep(tick, physics, time) is called after every physics step with the race clock
+     * Returns { finished, time, ticks, state }
+     */
+    static simulate(replay, game, onStep = null) {
+        if (replay.trackHash !== game.trackHash) {
+            throw new Error('Replay was recorded on a different version of this track');
+        }
+
+        const sim = new Game(null);
+        sim.physics = new VehiclePhysics();
+        Object.assign(sim.physics.config, replay.config);
+        sim.collision = game.collision;
+        sim.applyTrack(game.currentTrack, replay.trackId, game.trackInfo);
+
+        // Like a test drive: saves no records and records no replay of its own
+        sim.isTestDrive = true;
+        sim.startRace();
+
+        let tick = 0;
+        for (; tick < replay.inputs.length && sim.state === 'playing'; tick++) {
+            const input = replay.getInput(tick);
+            if (input.reset) sim.requestReset();
+
+            sim.fixedUpdate(replay.step, input);
+            if (onStep) onStep(tick, sim.physics, sim.timer.getTime());
+        }
+
+        const finished = sim.state === 'finished';
+        return {
+            finished: finished,
+            time: finished ? sim.timer.getTime() : null,
+            ticks: tick,
+            state: Replay.captureState(sim.physics)
+        };
+    }
+
+    /**
+     * Whether re-simulating reproduces the recorded finish exactly
+     */
+    static verify(replay, game) {
+        const result = ReplaySimulator.simulate(replay, game);
+
+        return result.finished &&
+            result.time === replay.time &&
+            result.state.every((value, i) => value === replay.finalState[i]);
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * Replay Viewer
+ * Plays back the last race from its recorded inputs with a timeline,
+ * speed control, camera choice and the picked ghosts alongside
+ */
+
+import * as THREE from 'three';
+import { ReplaySimulator } from './ReplaySimulator.js';
+import { Timer } from './RaceTimer.js';
+
+// Playback speeds, applied through Engine.timeScale
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const CAMERA_MODES = ['chase', 'first-person', 'trackside'];
+const CAMERA_LABELS = {
+    'chase': 'CHASE',
+    'first-person': 'COCKPIT',
+    'trackside': 'TRACKSIDE'
+};
+
+export class ReplayViewer {
+    constructor(engine, camera, vehicle, ghostCar) {
+        this.engine = engine;
+        this.camera = camera;
+        this.vehicle = vehicle;
+        this.ghostCar = ghostCar;
+
+        // DOM
+        this.panel = document.getElementById('replay-viewer');
+        this.playButton = document.getElementById('replay-play');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.timeEl = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.cameraButton = document.getElementById('replay-camera');
+
+        // Car state of every physics step, from re-simulating the replay
+        this.frames = [];
+        this.step = 1 / 60;
+        this.duration = 0;
+
+        // Playhead in physics steps, fractional between frames
+        this.position = 0;
+        this.isPlaying = false;
+        this.isScrubbing = false;
+        this.isOpen = false;
+
+        this.cameraIndex = 0;
+        this.previousCameraMode = null;
+        this.hasGhosts = false;
+
+        // Interpolated car, shaped like VehiclePhysics for Vehicle.update
+        this.state = {
+            position: new THREE.Vector3(),
+            quaternion: new THREE.Quaternion(),
+            speed: 0,
+            steerAngle: 0
+        };
+
+        // Callbacks
+        this.onClose = null;
+
+        this.init();
+    }
+
+    init() {
+        SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            this.speedSelect.appendChild(option);
+        });
+
+        this.playButton.addEventListener('click', () => {
+            this.togglePlay();
+        });
+
+        this.scrubber.addEventListener('pointerdown', () => {
+            this.isScrubbing = true;
+        });
+
+        this.scrubber.addEventListener('pointerup', () => {
+            this.isScrubbing = false;
+        });
+
+        this.scrubber.addEventListener('input', () => {
+            this.seek(parseFloat(this.scrubber.value));
+        });
+
+        this.speedSelect.addEventListener('change', () => {
+            this.setSpeed(parseFloat(this.speedSelect.value));
+        });
+
+        this.cameraButton.addEventListener('click', () => {
+            this.cycleCamera();
+        });
+
+        document.getElementById('replay-exit').addEventListener('click', () => {
+            this.close();
+            if (this.onClose) this.onClose();
+        });
+    }
+
+    /**
+     * Re-simulate a replay on the game's loaded track and start playing it,
+     * with ghosts (GhostCar.listGhosts entries) shown alongside
+     * Throws when the replay was recorded on a different track
+     */
+    open(replay, game, ghosts = []) {
+        this.frames = ReplayViewer.captureFrames(replay, game);
+        if (this.frames.length === 0) {
+            throw new Error('Replay has no recorded steps');
+        }
+
+        this.step = replay.step;
+        this.duration = this.frames[this.frames.length - 1].time;
+        this.scrubber.max = this.frames.length - 1;
+
+        this.hasGhosts = !!this.ghostCar && ghosts.length > 0;
+        if (this.ghostCar) {
+            this.ghostCar.startPlayback(ghosts);
+        }
+
+        this.camera.setTracksidePath(game.trackInfo.path);
+        this.previousCameraMode = this.camera.mode;
+        this.setCamera(0);
+        this.setSpeed(1);
+
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+
+        this.seek(0);
+        this.setPlaying(true);
+    }
+
+    close() {
+        this.isOpen = false;
+        this.isScrubbing = false;
+        this.setPlaying(false);
+        this.panel.classList.add('hidden');
+
+        this.engine.timeScale = 1;
+        this.camera.mode = this.previousCameraMode;
+        if (this.ghostCar) this.ghostCar.stopPlayback();
+
+        this.frames = [];
+    }
+
+    /**
+     * Car state after every physics step of a replay
+     */
+    static captureFrames(replay, game) {
+        const frames = [];
+
+        ReplaySimulator.simulate(replay, game, (tick, physics, time) => {
+            frames.push({
+                time: time,
+                position: physics.position.clone(),
+                quaternion: physics.quaternion.clone(),
+                speed: physics.speed,
+                steerAngle: physics.steerAngle
+            });
+        });
+
+        return frames;
+    }
+
+    /**
+     * Advance the playhead (deltaTime is already scaled by Engine.timeScale)
+     */
+    update(deltaTime) {
+        if (!this.isOpen) return;
+
+        if (this.isPlaying) {
+            const end = this.frames.length - 1;
+            this.position = Math.min(this.position + deltaTime / this.step, end);
+            if (this.position >= end) this.setPlaying(false);
+        }
+
+        this.applyFrame(this.isPlaying ? deltaTime : 0, false);
+    }
+
+    /**
+     * Jump to a physics step
+     */
+    seek(position) {
+        this.position = THREE.MathUtils.clamp(position, 0, this.frames.length - 1);
+        this.applyFrame(0, true);
+    }
+
+    /**
+     * Move the car, ghosts and timeline to the playhead
+     */
+    applyFrame(deltaTime, jumped) {
+        const index = Math.floor(this.position);
+        const a = this.frames[index];
+        const b = this.frames[Math.min(index + 1, this.frames.length - 1)];
+        const t = this.position - index;
+
+        this.state.position.lerpVectors(a.position, b.position, t);
+        this.state.quaternion.slerpQuaternions(a.quaternion, b.quaternion, t);
+        this.state.speed = THREE.MathUtils.lerp(a.speed, b.speed, t);
+        this.state.steerAngle = THREE.MathUtils.lerp(a.steerAngle, b.steerAngle, t);
+        const time = THREE.MathUtils.lerp(a.time, b.time, t);
+
+        this.vehicle.update(this.state, deltaTime);
+
+        // Ghost playback only runs forwards, so jumps restart it
+        if (this.hasGhosts) {
+            if (jumped) {
+                this.ghostCar.seek(time);
+            } else if (this.ghostCar.isPlaying) {
+                this.ghostCar.update(time);
+            }
+        }
+
+        if (!this.isScrubbing) this.scrubber.value = this.position;
+        this.timeEl.textContent = `${Timer.formatTime(time)} / ${Timer.formatTime(this.duration)}`;
+    }
+
+    togglePlay() {
+        // Play again from the start once the end is reached
+        if (!this.isPlaying && this.position >= this.frames.length - 1) {
+            this.seek(0);
+        }
+        this.setPlaying(!this.isPlaying);
+    }
+
+    setPlaying(playing) {
+        this.isPlaying = playing;
+        this.playButton.textContent = playing ? 'PAUSE' : 'PLAY';
+    }
+
+    setSpeed(speed) {
+        this.engine.timeScale = speed;
+        this.speedSelect.value = speed;
+    }
+
+    cycleCamera() {
+        this.setCamera((this.cameraIndex + 1) % CAMERA_MODES.length);
+    }
+
+    setCamera(index) {
+        this.cameraIndex = index;
+        this.camera.mode = CAMERA_MODES[index];
+        this.cameraButton.textContent = `CAMERA: ${CAMERA_LABELS[this.camera.mode]}`;
+    }
+
+    getSpeedKmh() {
+        return Math.abs(this.state.speed) * 3.6;
+    }
+}
@@ -22,9 +22,13 @@ import { CollisionSystem } from './physics/CollisionSystem.js';
 import { Game } from './game/Game.js';
 import { Vehicle } from './game/Vehicle.js';
 import { GhostCar } from './game/GhostCar.js';
+import { ReplayViewer } from './game/ReplayViewer.js';
+import { GhostFile } from './game/GhostFile.js';
 
 // Track
-import { SplineTrackBuilder } from './track/SplineTrackBuilder.js';
+import { TrackLoader } from './track/TrackLoader.js';
+import { TrackLibrary } from './track/TrackLibrary.js';
+import { TrackCodec } from './track/TrackCodec.js';
 
 // UI
 import { HUD } from './ui/HUD.js';
@@ -34,6 +38,13 @@ import { SoundManager } from './audio/SoundManager.js';
 // Effects
 import { ParticleSystem } from './effects/ParticleSystem.js';
 
+// Utils
+import { downloadJSON, readJSON, toFileName } from './utils/FileUtils.js';
+
+// Editor
+import { TrackEditor } from './editor/TrackEditor.js';
+import { SplineEditor } from './editor/SplineEditor.js';
+
 class PolyRacer {
     constructor() {
         // Get canvas
@@ -53,7 +64,9 @@ class PolyRacer {
         this.game = new Game(this.engine);
         this.vehicle = new Vehicle(this.renderer);
         this.ghostCar = new GhostCar(this.renderer);
-        this.trackBuilder = new SplineTrackBuilder(this.renderer, this.collision);
+        this.trackLoader = new TrackLoader(this.renderer, this.collision);
+        this.trackLibrary = new TrackLibrary();
+        this.replayViewer = new ReplayViewer(this.engine, this.camera, this.vehicle, this.ghostCar);
 
         // Effects
         this.particles = new ParticleSystem(this.renderer);
@@ -65,12 +78,10 @@ class PolyRacer {
         this.hud = new HUD();
         this.menu = new Menu();
 
-        // Track data
-        this.tracks = [
-            { id: 'track1', name: 'Beginner Circuit', difficulty: 'Easy' },
-            { id: 'track2', name: 'Mountain Rise', difficulty: 'Medium' },
-            { id: 'track3', name: 'Adrenaline Rush', difficulty: 'Hard' }
-        ];
+        // Editor
+        this.trackEditor = new TrackEditor(this.trackLoader, this.camera);
+        this.splineEditor = new SplineEditor(this.trackLoader, this.camera, this.renderer, this.canvas);
+        this.activeEditor = null;
 
         // Current track data
         this.currentTrackData = null;
@@ -95,7 +106,7 @@ class PolyRacer {
         this.game.vehicle = this.vehicle;
         this.game.ghostCar = this.ghostCar;
         this.game.collision = this.collision;
-        this.game.trackBuilder = this.trackBuilder;
+        this.game.trackLoader = this.trackLoader;
         this.game.soundManager = this.soundManager;
 
         this.updateLoadingProgress(30, 'Loading assets...');
@@ -107,13 +118,15 @@ class PolyRacer {
         this.updateLoadingProgress(50, 'Setting up UI...');
 
         // Setup menu
-        this.menu.setTracks(this.tracks);
         this.setupMenuCallbacks();
 
+        this.updateLoadingProgress(60, 'Loading track list...');
+        await this.refreshTrackList();
+
         this.updateLoadingProgress(70, 'Loading track...');
 
         // Load default track
-        await this.loadTrack('track1');
+        const trackData = await this.loadTrack(this.menu.selectedTrackId);
 
         this.updateLoadingProgress(90, 'Finalizing...');
 
@@ -130,13 +143,21 @@ class PolyRacer {
 
         this.updateLoadingProgress(100, 'Ready!');
 
+        // Shared track link
+        if (TrackCodec.hasCode(location.hash)) {
+            await this.importFromHash();
+        }
+
         // Start engine
         this.engine.start();
 
-        // Hide loading screen
-        setTimeout(() => {
-            document.getElementById('loading-screen').classList.add('hidden');
-        }, 500);
+        // Hide loading screen (a load error keeps it up until dismissed)
+        if (trackData) {
+            setTimeout(() => {
+                if (document.getElementById('loader-text').classList.contains('error')) return;
+                document.getElementById('loading-screen').classList.add('hidden');
+            }, 500);
+        }
 
         console.log('Poly Racer initialized!');
     }
@@ -146,19 +167,62 @@ class PolyRacer {
         const textEl = document.getElementById('loader-text');
 
         if (progress) progress.style.width = `${percent}%`;
-        if (textEl) textEl.textContent = text;
+        if (textEl && !textEl.classList.contains('error')) textEl.textContent = text;
+    }
+
+    async fetchTrackData(trackId) {
+        return this.trackLibrary.fetchTrack(trackId);
+    }
+
+    /**
+     * Rebuild the track menu from the manifest and local custom tracks
+     */
+    async refreshTrackList() {
+        try {
+            this.menu.setTracks(await this.trackLibrary.getTrackList());
+        } catch (error) {
+            console.error('Failed to load track list:', error);
+            this.showLoadingError(error.message);
+        }
+    }
+
+    /**
+     * Decode a share code, store it as a custom track and load it
+     * Returns the new track id, or null when loadTrack failed (it shows why)
+     */
+    async importTrackCode(code) {
+        const trackData = await TrackCodec.decode(code);
+        const trackId = this.trackLibrary.addCustomTrack(trackData);
+
+        if (!await this.loadTrack(trackId)) {
+            this.trackLibrary.removeCustomTrack(trackId);
+            return null;
+        }
+
+        this.menu.selectedTrackId = trackId;
+        await this.refreshTrackList();
+        return trackId;
+    }
+
+    async importFromHash() {
+        try {
+            if (!await this.importTrackCode(location.hash)) return;
+            history.replaceState(null, '', location.pathname + location.search);
+            this.menu.showScreen('tracks');
+        } catch (error) {
+            console.error('Failed to import shared track:', error);
+            this.showLoadingError(error.message);
+        }
     }
 
     async loadTrack(trackId) {
         try {
-            const response = await fetch(`tracks/${trackId}.json`);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch track: ${response.status}`);
-            }
-            const trackData = await response.json();
-            this.currentTrackData = trackData;
+            const trackData = await this.fetchTrackData(trackId);
 
             await this.game.loadTrack(trackData, trackId);
+            this.currentTrackData = trackData;
+            this.menu.setGhostStatus('');
+            this.refreshGhostPicker();
 
             // Reset camera
             this.camera.setPosition(
@@ -175,14 +239,42 @@ class PolyRacer {
             return trackData;
         } catch (error) {
             console.error('Failed to load track:', error);
+            if (error.errors) {
+                this.menu.setTrackIssues(trackId, { valid: false, errors: error.errors, warnings: [] });
+            }
+            this.showLoadingError(`Failed to load track "${trackId}": ${error.message}`);
             return null;
         }
     }
 
+    refreshGhostPicker() {
+        this.menu.setGhosts(this.game.ghosts, this.game.selectedGhosts);
+    }
+
+    /**
+     * Show an error on the loading screen until the player clicks it away
+     */
+    showLoadingError(message) {
+        const screen = document.getElementById('loading-screen');
+        const textEl = document.getElementById('loader-text');
+
+        textEl.textContent = `Error: ${message} (click to continue)`;
+        textEl.classList.add('error');
+        screen.classList.remove('hidden');
+
+        screen.addEventListener('click', () => {
+            screen.classList.add('hidden');
+            textEl.classList.remove('error');
+        }, { once: true });
+    }
+
     setupMenuCallbacks() {
         this.menu.onPlay = async (trackId) => {
             this.menu.hideAll();
-            await this.loadTrack(trackId);
+            if (!await this.loadTrack(trackId)) {
+                this.menu.showScreen('tracks');
+                return;
+            }
             this.game.resetRace();
             this.hud.show();
             this.menu.showMobileControls(true);
@@ -194,6 +286,47 @@ class PolyRacer {
             await this.loadTrack(trackId);
         };
 
+        this.menu.onEditTrack = async (trackId) => {
+            let trackData = null;
+            if (trackId) {
+                trackData = await this.fetchTrackData(trackId).catch(error => {
+                    this.showLoadingError(error.message);
+                    return null;
+                });
+                if (!trackData) return;
+            }
+
+            const format = trackData ? TrackLoader.detectFormat(trackData) : 'pieces';
+            const editor = format === 'spline' ? this.splineEditor
+                : format === 'pieces' ? this.trackEditor : null;
+
+            if (!editor) {
+                this.showLoadingError(`No editor for track format "${format}"`);
+                return;
+            }
+
+            this.menu.hideAll();
+            this.engine.setState('editor');
+            this.activeEditor = editor;
+            editor.open(trackData);
+        };
+
+        this.menu.onShareOpen = async () => {
+            if (!this.currentTrackData) return;
+            const code = await TrackCodec.encode(this.currentTrackData);
+            this.menu.showShareCode(code, TrackCodec.toURL(code));
+        };
+
+        this.menu.onImportCode = async (code) => {
+            try {
+                if (await this.importTrackCode(code)) {
+                    this.menu.setShareStatus('Track imported!');
+                }
+            } catch (error) {
+                this.menu.setShareStatus(error.message, true);
+            }
+        };
+
         this.menu.onColorChange = (color) => {
             this.vehicle.setColor(color);
         };
@@ -212,30 +345,125 @@ class PolyRacer {
             this.engine.setState('playing');
         };
 
+        this.menu.onReplay = () => {
+            try {
+                // The last attempt is the replayed run itself
+                const ghosts = this.game.getSelectedGhosts().filter(ghost => ghost.id !== 'last');
+                this.replayViewer.open(this.game.lastReplay, this.game, ghosts);
+            } catch (error) {
+                console.error('Failed to play replay:', error);
+                this.showLoadingError(error.message);
+                return;
+            }
+
+            this.menu.hideAll();
+            this.engine.setState('replay');
+        };
+
+        this.replayViewer.onClose = () => {
+            // Finished races run under the playing engine state
+            this.engine.setState('playing');
+            this.vehicle.update(this.physics, 0);
+            this.menu.showScreen('results');
+        };
+
+        this.menu.onGhostToggle = (id, selected) => {
+            this.game.setGhostSelected(id, selected);
+        };
+
+        this.menu.onGhostKeep = (id) => {
+            try {
+                this.game.keepGhost(id);
+            } catch (error) {
+                console.error('Failed to keep ghost:', error);
+                this.showLoadingError(error.message);
+            }
+            this.refreshGhostPicker();
+        };
+
+        this.menu.onGhostRemove = (id) => {
+            this.game.removeGhost(id);
+            this.refreshGhostPicker();
+        };
+
+        this.menu.onGhostExport = (id) => {
+            const ghostFile = this.game.exportGhost(id, this.menu.driverName);
+            if (!ghostFile) return;
+
+            const trackName = this.currentTrackData ? this.currentTrackData.name : ghostFile.trackId;
+            downloadJSON(ghostFile, `${toFileName(`${trackName}-${ghostFile.driver}`, 'ghost')}.ghost.json`);
+        };
+
+        this.menu.onGhostImport = async (file) => {
+            try {
+                const ghostFile = GhostFile.parse(await readJSON(file));
+                this.game.importGhost(ghostFile);
+                this.menu.setGhostStatus(`Imported ${ghostFile.driver}'s ghost`);
+            } catch (error) {
+                this.menu.setGhostStatus(error.message, true);
+            }
+            this.refreshGhostPicker();
+        };
+
         this.menu.onQuit = () => {
             this.hud.hide();
             this.menu.showMobileControls(false);
             this.game.resetRace();
+
+            // Test drives go back to the editor
+            if (this.game.isTestDrive) {
+                this.menu.hideAll();
+                this.engine.setState('editor');
+                this.activeEditor.resume();
+                return;
+            }
+
             this.engine.setState('menu');
             this.menu.showScreen('main');
         };
+
+        const onTestDrive = async (trackData, start) => {
+            this.activeEditor.hide();
+            await this.game.loadTrack(trackData, 'editor');
+            this.game.setTestDrive(start);
+            this.game.resetRace();
+            this.vehicle.update(this.physics, 0);
+            this.hud.show();
+            this.menu.showMobileControls(true);
+            await this.game.startCountdown();
+            this.engine.setState('playing');
+        };
+
+        const onEditorClose = async () => {
+            this.activeEditor = null;
+            this.engine.setState('menu');
+            await this.loadTrack(this.menu.selectedTrackId);
+            this.menu.showScreen('tracks');
+        };
+
+        this.trackEditor.onTestDrive = onTestDrive;
+        this.trackEditor.onClose = onEditorClose;
+        this.splineEditor.onTestDrive = onTestDrive;
+        this.splineEditor.onClose = onEditorClose;
     }
 
     setupInputCallbacks() {
         this.inputManager.onReset = () => {
-            if (this.game.state === 'playing') {
-                this.game.resetToCheckpoint();
-            }
+            // Done on the next physics step so replays see it at the same tick
+            this.game.requestReset();
         };
 
         this.inputManager.onRestart = () => {
+            if (this.engine.state === 'replay') return;
             if (this.game.state === 'playing' || this.game.state === 'finished') {
                 this.menu.onRestart();
             }
         };
 
         this.inputManager.onPause = () => {
-            if (this.game.state === 'playing') {
+            if (this.engine.state === 'replay') {
+                this.replayViewer.togglePlay();
+            } else if (this.game.state === 'playing') {
                 this.game.pause();
                 this.engine.pause();
                 this.menu.showScreen('pause');
@@ -245,24 +473,43 @@ class PolyRacer {
         };
 
         this.inputManager.onCameraToggle = () => {
-            this.camera.toggleMode();
+            if (this.engine.state === 'replay') {
+                this.replayViewer.cycleCamera();
+            } else {
+                this.camera.toggleMode();
+            }
         };
     }
 
     setupGameCallbacks() {
-        this.game.onCheckpoint = (index, isFinish) => {
+        this.game.onCheckpoint = (index, isFinish, split) => {
             this.hud.showCheckpoint(isFinish);
+            if (split) this.hud.showSplit(split);
             this.camera.shake(0.3, 0.2);
         };
 
-        this.game.onFinish = (time, bestTime, isNewRecord) => {
+        this.game.onFinish = (time, bestTime, isNewRecord, results) => {
             this.hud.hide();
-            this.menu.showResults(time, bestTime, isNewRecord);
+            this.menu.showResults(time, bestTime, isNewRecord, results);
+            this.menu.setReplayAvailable(!!this.game.lastReplay);
+            this.refreshGhostPicker();
         };
 
         this.game.onBoost = () => {
             this.camera.shake(0.2, 0.1);
         };
+
+        this.game.onFade = (active) => {
+            this.hud.setFade(active);
+        };
+
+        this.game.onRespawn = (penalty) => {
+            if (penalty > 0) this.hud.showPenalty(penalty);
+        };
+
+        this.game.onWrongWay = (active) => {
+            this.hud.setWrongWay(active);
+        };
     }
 
     /**
@@ -273,8 +520,8 @@ class PolyRacer {
 
         const input = this.inputManager.getInput();
 
-        // Update physics
-        this.physics.update(input, deltaTime, this.collision);
+        // Update physics and race logic
+        this.game.fixedUpdate(deltaTime, input);
 
         // Update vehicle visual
         this.vehicle.update(this.physics, deltaTime);
@@ -287,7 +534,11 @@ class PolyRacer {
         // Update input
         this.inputManager.update();
 
-        if (this.game.state === 'playing') {
+        if (this.engine.state === 'replay') {
+            this.replayViewer.update(deltaTime);
+            this.soundManager.stopDrift();
+            this.soundManager.updateSurface(null, 0);
+        } else if (this.game.state === 'playing') {
             const input = this.inputManager.getInput();
 
             // Update game logic
@@ -317,20 +568,36 @@ class PolyRacer {
             const speedRatio = Math.min(Math.abs(this.physics.speed) / this.physics.config.maxSpeed, 1);
             this.soundManager.updateEngine(speedRatio);
             this.soundManager.startEngine(); // Ensure it's running
+
+            // Dust / spray from the rear wheels and tyre rumble for the surface
+            if (this.physics.isGrounded && Math.abs(this.physics.speed) > 5) {
+                const spray = new THREE.Vector3(0, 0.5, 1).applyQuaternion(this.physics.quaternion);
+                [0, 1].forEach(wheel => {
+                    const surface = this.physics.wheelSurfaces[wheel];
+                    if (!surface) return;
+                    const wheelPos = this.physics.wheelOffsets[wheel].clone().applyQuaternion(this.physics.quaternion).add(this.physics.position);
+                    this.particles.emitSurface(surface, wheelPos, spray);
+                });
+            }
+            this.soundManager.updateSurface(this.physics.isGrounded ? this.physics.surface : null, speedRatio);
         } else {
             // Stop drift sound if not playing
             this.soundManager.stopDrift();
+            this.soundManager.updateSurface(null, 0);
         }
 
 
         // Update particles
         this.particles.update(deltaTime);
 
-        // Update camera
-        this.camera.update(this.vehicle, deltaTime, this.physics.getSpeedKmh());
+        // Update camera (replays follow the replayed car, not the physics one)
+        const speedKmh = this.engine.state === 'replay'
+            ? this.replayViewer.getSpeedKmh()
+            : this.physics.getSpeedKmh();
+        this.camera.update(this.vehicle, deltaTime, speedKmh);
 
         // Update sun position to follow car
-        this.renderer.updateSunPosition(this.physics.position);
+        this.renderer.updateSunPosition(this.vehicle.position);
     }
 
     /**
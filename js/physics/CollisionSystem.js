@@ -4,15 +4,29 @@
  */
 
 import * as THREE from 'three';
+import { DEFAULT_SURFACE } from '../track/Surfaces.js';
+import { TrackGrid } from './TrackGrid.js';
+import { OrientedBox } from './OrientedBox.js';
+
+// Gates reach a little under the road so cars skimming it still count
+const GATE_BELOW = 1;
+
+const _offset = new THREE.Vector3();
 
 export class CollisionSystem {
     constructor() {
         this.trackMeshes = [];
         this.barrierMeshes = [];
+        this.ceilingMeshes = [];
         this.boostPads = [];
         this.checkpoints = [];
 
         this.raycaster = new THREE.Raycaster();
+
+        // Spatial index over trackMeshes and boxes around barrierMeshes,
+        // rebuilt after the track changes
+        this.trackGrid = null;
+        this.barrierBoxes = null;
     }
 
     /**
@@ -20,6 +34,16 @@ export class CollisionSystem {
      */
     addTrackMesh(mesh) {
         this.trackMeshes.push(mesh);
+        this.trackGrid = null;
+    }
+
+    /**
+     * Index track triangles and barrier boxes (the first query does this too)
+     */
+    buildTrackIndex() {
+        this.trackGrid = new TrackGrid(this.trackMeshes);
+        this.barrierBoxes = this.barrierMeshes.map(mesh => new OrientedBox().setFromMesh(mesh));
+        return this.trackGrid;
     }
 
     /**
@@ -27,6 +51,14 @@ export class CollisionSystem {
      */
     addBarrierMesh(mesh) {
         this.barrierMeshes.push(mesh);
+        this.barrierBoxes = null;
+    }
+
+    /**
+     * Add ceiling mesh (tunnel roofs)
+     */
+    addCeilingMesh(mesh) {
+        this.ceilingMeshes.push(mesh);
     }
 
     /**
@@ -42,15 +74,21 @@ export class CollisionSystem {
     }
 
     /**
-     * Add checkpoint
+     * Add checkpoint gate: a plane through position facing the driving
+     * direction, width across the road and height above position along up
      */
-    addCheckpoint(position, size, index, isFinish = false) {
+    addCheckpoint(position, forward, up, width, height, index, isFinish = false) {
+        const normal = forward.clone().normalize();
+
         this.checkpoints.push({
             position: position.clone(),
-            size: size.clone(),
+            normal: normal,
+            up: up.clone().normalize(),
+            right: new THREE.Vector3().crossVectors(normal, up).normalize(),
+            width: width,
+            height: height,
             index: index,
-            isFinish: isFinish,
-            bounds: new THREE.Box3().setFromCenterAndSize(position, size)
+            isFinish: isFinish
         });
     }
 
@@ -60,14 +98,34 @@ export class CollisionSystem {
     clear() {
         this.trackMeshes = [];
         this.barrierMeshes = [];
+        this.ceilingMeshes = [];
         this.boostPads = [];
         this.checkpoints = [];
+        this.trackGrid = null;
+        this.barrierBoxes = null;
     }
 
     /**
      * Raycast against track
      */
     raycast(origin, direction, maxDistance = 10) {
+        if (!this.trackGrid) this.buildTrackIndex();
+
+        const hit = this.trackGrid.raycast(origin, direction, maxDistance);
+        if (!hit) return null;
+
+        return {
+            point: hit.point,
+            normal: hit.normal,
+            distance: hit.distance,
+            surface: hit.object.userData.surface || DEFAULT_SURFACE
+        };
+    }
+
+    /**
+     * Raycast testing every track mesh, without the index (reference and benchmarks)
+     */
+    raycastMeshes(origin, direction, maxDistance = 10) {
         this.raycaster.set(origin, direction);
         this.raycaster.far = maxDistance;
 
@@ -77,7 +135,8 @@ export class CollisionSystem {
             return {
                 point: intersects[0].point,
                 normal: intersects[0].face.normal.clone().transformDirection(intersects[0].object.matrixWorld),
-                distance: intersects[0].distance
+                distance: intersects[0].distance,
+                surface: intersects[0].object.userData.surface || DEFAULT_SURFACE
             };
         }
 
@@ -96,53 +155,54 @@ export class CollisionSystem {
     }
 
     /**
-     * Check barrier collision
+     * Check the car's oriented box against every barrier
+     * Returns the deepest contact with the normal pointing out of the barrier
      */
-    checkBarrierCollision(boundingBox) {
-        for (const barrier of this.barrierMeshes) {
-            if (!barrier.geometry.boundingBox) {
-                barrier.geometry.computeBoundingBox();
-            }
+    checkBarrierCollision(carBox) {
+        if (!this.barrierBoxes) this.buildTrackIndex();
 
-            const barrierBox = barrier.geometry.boundingBox.clone();
-            barrierBox.applyMatrix4(barrier.matrixWorld);
+        let deepest = null;
+        const carRadius = carBox.getRadius();
 
-            if (boundingBox.intersectsBox(barrierBox)) {
-                // Calculate intersection depth
-                const intersection = boundingBox.clone().intersect(barrierBox);
-                const xPen = intersection.max.x - intersection.min.x;
-                const zPen = intersection.max.z - intersection.min.z;
+        for (const barrier of this.barrierBoxes) {
+            const reach = carRadius + barrier.getRadius();
+            if (carBox.center.distanceToSquared(barrier.center) > reach * reach) continue;
 
-                // Determine push direction based on shallowest penetration
-                const pushDir = new THREE.Vector3();
-                const center = new THREE.Vector3();
-                boundingBox.getCenter(center);
-                const barrierCenter = new THREE.Vector3();
-                barrierBox.getCenter(barrierCenter);
+            const contact = carBox.intersect(barrier);
+            if (contact && (!deepest || contact.depth > deepest.depth)) {
+                deepest = contact;
+                deepest.point = barrier.clampPoint(carBox.center);
+            }
+        }
 
-                const dirToSelf = center.sub(barrierCenter);
+        if (!deepest) return { collided: false };
 
-                let penetration = 0;
+        return {
+            collided: true,
+            normal: deepest.normal,
+            point: deepest.point,
+            penetration: deepest.depth + 0.01 // Finish just clear of the wall
+        };
+    }
 
-                if (xPen < zPen) {
-                    // Push along X
-                    pushDir.set(Math.sign(dirToSelf.x), 0, 0);
-                    penetration = xPen;
-                } else {
-                    // Push along Z
-                    pushDir.set(0, 0, Math.sign(dirToSelf.z));
-                    penetration = zPen;
-                }
+    /**
+     * Check ceiling collision by casting up from the car
+     * clearance is the distance from position to the roof of the car
+     */
+    checkCeilingCollision(position, clearance) {
+        if (this.ceilingMeshes.length === 0) return { collided: false };
 
-                return {
-                    collided: true,
-                    normal: pushDir,
-                    penetration: penetration + 0.1 // Push out slightly more to be safe
-                };
-            }
-        }
+        this.raycaster.set(position, new THREE.Vector3(0, 1, 0));
+        this.raycaster.far = clearance;
 
-        return { collided: false };
+        const intersects = this.raycaster.intersectObjects(this.ceilingMeshes, false);
+        if (intersects.length === 0) return { collided: false };
+
+        return {
+            collided: true,
+            normal: intersects[0].face.normal.clone().transformDirection(intersects[0].object.matrixWorld),
+            penetration: clearance - intersects[0].distance
+        };
     }
 
     /**
@@ -161,18 +221,37 @@ export class CollisionSystem {
     }
 
     /**
-     * Check checkpoint collision
+     * Check whether the move from one position to the next crosses a gate
+     * in its forward direction (reversing through a gate doesn't count)
+     * fraction is how far along the move the crossing happened (0 to 1)
      */
-    checkCheckpoint(position) {
+    checkCheckpoint(from, to) {
+        let first = null;
+
         for (const cp of this.checkpoints) {
-            if (cp.bounds.containsPoint(position)) {
-                return {
-                    hit: true,
-                    index: cp.index,
-                    isFinish: cp.isFinish
-                };
-            }
+            const before = _offset.subVectors(from, cp.position).dot(cp.normal);
+            const after = _offset.subVectors(to, cp.position).dot(cp.normal);
+            if (before >= 0 || after < 0) continue;
+
+            const fraction = before / (before - after);
+            if (first && fraction >= first.fraction) continue;
+
+            // Crossed the plane, but inside the gate?
+            const point = from.clone().lerp(to, fraction);
+            _offset.subVectors(point, cp.position);
+            const across = _offset.dot(cp.right);
+            const above = _offset.dot(cp.up);
+            if (Math.abs(across) > cp.width / 2 || above < -GATE_BELOW || above > cp.height) continue;
+
+            first = {
+                hit: true,
+                index: cp.index,
+                isFinish: cp.isFinish,
+                point: point,
+                fraction: fraction
+            };
         }
-        return { hit: false };
+
+        return first || { hit: false };
     }
 }
@@ -0,0 +1,136 @@
+/**
+ * Oriented Box
+ * Box with its own axes, for collisions between rotated cars and barriers
+ */
+
+import * as THREE from 'three';
+
+// Edge-edge axes win only when clearly shallower than a face axis,
+// which keeps normals steady when a car scrapes along a wall
+const EDGE_AXIS_BIAS = 1.05;
+
+const _offset = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _delta = new THREE.Vector3();
+
+export class OrientedBox {
+    constructor() {
+        this.center = new THREE.Vector3();
+        this.halfSize = new THREE.Vector3();
+        this.axes = [
+            new THREE.Vector3(1, 0, 0),
+            new THREE.Vector3(0, 1, 0),
+            new THREE.Vector3(0, 0, 1)
+        ];
+    }
+
+    set(center, halfSize, quaternion) {
+        this.center.copy(center);
+        this.halfSize.copy(halfSize);
+        this.axes[0].set(1, 0, 0).applyQuaternion(quaternion);
+        this.axes[1].set(0, 1, 0).applyQuaternion(quaternion);
+        this.axes[2].set(0, 0, 1).applyQuaternion(quaternion);
+        return this;
+    }
+
+    /**
+     * Fit a mesh's geometry bounds, following its world position, rotation and scale
+     */
+    setFromMesh(mesh) {
+        const geometry = mesh.geometry;
+        if (!geometry.boundingBox) {
+            geometry.computeBoundingBox();
+        }
+
+        mesh.updateWorldMatrix(true, false);
+        const elements = mesh.matrixWorld.elements;
+
+        geometry.boundingBox.getCenter(this.center).applyMatrix4(mesh.matrixWorld);
+        geometry.boundingBox.getSize(this.halfSize).multiplyScalar(0.5);
+
+        this.axes.forEach((axis, i) => {
+            axis.set(elements[i * 4], elements[i * 4 + 1], elements[i * 4 + 2]);
+            const scale = axis.length();
+            axis.divideScalar(scale);
+            this.halfSize.setComponent(i, this.halfSize.getComponent(i) * scale);
+        });
+
+        return this;
+    }
+
+    /**
+     * Radius of a sphere around the box, for quick rejection
+     */
+    getRadius() {
+        return this.halfSize.length();
+    }
+
+    /**
+     * Half the box's extent along a unit axis
+     */
+    projectRadius(axis) {
+        return Math.abs(this.axes[0].dot(axis)) * this.halfSize.x +
+            Math.abs(this.axes[1].dot(axis)) * this.halfSize.y +
+            Math.abs(this.axes[2].dot(axis)) * this.halfSize.z;
+    }
+
+    /**
+     * Point of the box closest to point
+     */
+    clampPoint(point, target = new THREE.Vector3()) {
+        _delta.subVectors(point, this.center);
+        target.copy(this.center);
+
+        this.axes.forEach((axis, i) => {
+            const half = this.halfSize.getComponent(i);
+            target.addScaledVector(axis, THREE.MathUtils.clamp(_delta.dot(axis), -half, half));
+        });
+
+        return target;
+    }
+
+    /**
+     * Separating axis test against another box
+     * Returns the shallowest overlap as { normal, depth }, with normal pointing
+     * from other towards this box, or null when the boxes are apart
+     */
+    intersect(other) {
+        _offset.subVectors(this.center, other.center);
+
+        let best = null;
+        let bestScore = Infinity;
+
+        const test = (axis, bias) => {
+            const lengthSq = axis.lengthSq();
+            if (lengthSq < 1e-8) return true; // Parallel edges, covered by face axes
+            axis.divideScalar(Math.sqrt(lengthSq));
+
+            const distance = _offset.dot(axis);
+            const depth = this.projectRadius(axis) + other.projectRadius(axis) - Math.abs(distance);
+            if (depth <= 0) return false;
+
+            if (depth * bias < bestScore) {
+                bestScore = depth * bias;
+                best = {
+                    normal: axis.clone().multiplyScalar(distance < 0 ? -1 : 1),
+                    depth: depth
+                };
+            }
+            return true;
+        };
+
+        for (const axis of this.axes) {
+            if (!test(_axis.copy(axis), 1)) return null;
+        }
+        for (const axis of other.axes) {
+            if (!test(_axis.copy(axis), 1)) return null;
+        }
+        for (const a of this.axes) {
+            for (const b of other.axes) {
+                if (!test(_axis.crossVectors(a, b), EDGE_AXIS_BIAS)) return null;
+            }
+        }
+
+        return best;
+    }
+}
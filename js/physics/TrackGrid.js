@@ -0,0 +1,224 @@
+/**
+ * Track Grid
+ * Uniform grid over track triangles in the XZ plane so raycasts only test
+ * triangles near the ray instead of every track mesh
+ */
+
+import * as THREE from 'three';
+
+const CELL_SIZE = 8;
+const MAX_CELLS = 65536; // Cells grow past CELL_SIZE on very large tracks
+
+export class TrackGrid {
+    constructor(meshes) {
+        // World space triangles, 9 floats each (a, b, c)
+        this.vertices = [];
+        this.triangleMeshes = []; // Mesh each triangle came from
+        this.triangleSides = []; // Material side, for face culling like Raycaster
+
+        meshes.forEach(root => root.traverse(object => {
+            if (object.isMesh) this.addMesh(object);
+        }));
+
+        this.triangleCount = this.triangleMeshes.length;
+        this.vertices = new Float64Array(this.vertices);
+
+        // Last query that tested each triangle (triangles span several cells)
+        this.testedBy = new Uint32Array(this.triangleCount);
+        this.queryId = 0;
+
+        this.buildCells();
+
+        // Scratch objects for queries
+        this.ray = new THREE.Ray();
+        this.a = new THREE.Vector3();
+        this.b = new THREE.Vector3();
+        this.c = new THREE.Vector3();
+        this.hitPoint = new THREE.Vector3();
+    }
+
+    /**
+     * Copy a mesh's triangles into world space
+     */
+    addMesh(mesh) {
+        const position = mesh.geometry.attributes.position;
+        if (!position) return;
+
+        mesh.updateWorldMatrix(true, false);
+
+        const index = mesh.geometry.index;
+        const count = index ? index.count : position.count;
+        const side = Array.isArray(mesh.material) ? THREE.DoubleSide : mesh.material.side;
+        const vertex = new THREE.Vector3();
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                const v = index ? index.getX(i + k) : i + k;
+                vertex.fromBufferAttribute(position, v).applyMatrix4(mesh.matrixWorld);
+                this.vertices.push(vertex.x, vertex.y, vertex.z);
+            }
+            this.triangleMeshes.push(mesh);
+            this.triangleSides.push(side);
+        }
+    }
+
+    /**
+     * Bucket every triangle into the cells its XZ bounds overlap
+     */
+    buildCells() {
+        const v = this.vertices;
+
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < v.length; i += 3) {
+            minX = Math.min(minX, v[i]);
+            maxX = Math.max(maxX, v[i]);
+            minZ = Math.min(minZ, v[i + 2]);
+            maxZ = Math.max(maxZ, v[i + 2]);
+        }
+
+        if (this.triangleCount === 0) {
+            minX = minZ = maxX = maxZ = 0;
+        }
+
+        const area = (maxX - minX) * (maxZ - minZ);
+        this.cellSize = Math.max(CELL_SIZE, Math.sqrt(area / MAX_CELLS));
+        this.minX = minX;
+        this.minZ = minZ;
+        this.columns = Math.floor((maxX - minX) / this.cellSize) + 1;
+        this.rows = Math.floor((maxZ - minZ) / this.cellSize) + 1;
+        this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+
+        for (let t = 0; t < this.triangleCount; t++) {
+            const o = t * 9;
+            const x0 = this.column(Math.min(v[o], v[o + 3], v[o + 6]));
+            const x1 = this.column(Math.max(v[o], v[o + 3], v[o + 6]));
+            const z0 = this.row(Math.min(v[o + 2], v[o + 5], v[o + 8]));
+            const z1 = this.row(Math.max(v[o + 2], v[o + 5], v[o + 8]));
+
+            for (let z = z0; z <= z1; z++) {
+                for (let x = x0; x <= x1; x++) {
+                    this.cells[z * this.columns + x].push(t);
+                }
+            }
+        }
+    }
+
+    column(x) {
+        return THREE.MathUtils.clamp(Math.floor((x - this.minX) / this.cellSize), 0, this.columns - 1);
+    }
+
+    row(z) {
+        return THREE.MathUtils.clamp(Math.floor((z - this.minZ) / this.cellSize), 0, this.rows - 1);
+    }
+
+    /**
+     * Nearest hit within maxDistance, walking the cells under the ray in order
+     * Returns { point, normal, distance, object } or null
+     */
+    raycast(origin, direction, maxDistance) {
+        if (this.triangleCount === 0) return null;
+
+        // Rays with NaN in them miss, as they do with Raycaster
+        if (!Number.isFinite(origin.x + origin.z + direction.x + direction.z)) return null;
+
+        this.ray.set(origin, direction);
+        this.queryId++;
+
+        // Clip the ray's XZ footprint to the grid
+        const size = this.cellSize;
+        const width = this.columns * size;
+        const depth = this.rows * size;
+        const ox = origin.x - this.minX;
+        const oz = origin.z - this.minZ;
+        const dx = direction.x;
+        const dz = direction.z;
+
+        let tStart = 0;
+        let tEnd = maxDistance;
+        for (const [o, d, extent] of [[ox, dx, width], [oz, dz, depth]]) {
+            if (Math.abs(d) < 1e-12) {
+                if (o < 0 || o > extent) return null;
+                continue;
+            }
+            let t0 = (0 - o) / d;
+            let t1 = (extent - o) / d;
+            if (t0 > t1) [t0, t1] = [t1, t0];
+            tStart = Math.max(tStart, t0);
+            tEnd = Math.min(tEnd, t1);
+        }
+        if (tStart > tEnd) return null;
+
+        // 2D DDA from the entry cell
+        let x = this.column(origin.x + dx * tStart);
+        let z = this.row(origin.z + dz * tStart);
+        const stepX = dx > 0 ? 1 : -1;
+        const stepZ = dz > 0 ? 1 : -1;
+        const deltaX = Math.abs(dx) < 1e-12 ? Infinity : size / Math.abs(dx);
+        const deltaZ = Math.abs(dz) < 1e-12 ? Infinity : size / Math.abs(dz);
+        let nextX = Math.abs(dx) < 1e-12 ? Infinity : ((dx > 0 ? x + 1 : x) * size - ox) / dx;
+        let nextZ = Math.abs(dz) < 1e-12 ? Infinity : ((dz > 0 ? z + 1 : z) * size - oz) / dz;
+
+        this.best = -1;
+        this.bestDistance = maxDistance;
+
+        for (;;) {
+            this.testCell(this.cells[z * this.columns + x]);
+
+            // Later cells only hold hits further along the ray
+            const cellExit = Math.min(nextX, nextZ);
+            if (cellExit >= tEnd || this.bestDistance <= cellExit) break;
+
+            if (nextX < nextZ) {
+                x += stepX;
+                nextX += deltaX;
+                if (x < 0 || x >= this.columns) break;
+            } else {
+                z += stepZ;
+                nextZ += deltaZ;
+                if (z < 0 || z >= this.rows) break;
+            }
+        }
+
+        if (this.best < 0) return null;
+
+        this.loadTriangle(this.best);
+        return {
+            point: this.ray.at(this.bestDistance, new THREE.Vector3()),
+            normal: THREE.Triangle.getNormal(this.a, this.b, this.c, new THREE.Vector3()),
+            distance: this.bestDistance,
+            object: this.triangleMeshes[this.best]
+        };
+    }
+
+    /**
+     * Test a cell's triangles, keeping the nearest hit in best/bestDistance
+     */
+    testCell(triangles) {
+        for (const t of triangles) {
+            if (this.testedBy[t] === this.queryId) continue;
+            this.testedBy[t] = this.queryId;
+
+            this.loadTriangle(t);
+            const side = this.triangleSides[t];
+            const hit = side === THREE.BackSide
+                ? this.ray.intersectTriangle(this.c, this.b, this.a, true, this.hitPoint)
+                : this.ray.intersectTriangle(this.a, this.b, this.c, side !== THREE.DoubleSide, this.hitPoint);
+
+            if (!hit) continue;
+
+            const distance = this.ray.origin.distanceTo(hit);
+            if (distance < this.bestDistance) {
+                this.bestDistance = distance;
+                this.best = t;
+            }
+        }
+    }
+
+    loadTriangle(t) {
+        const v = this.vertices;
+        const o = t * 9;
+        this.a.set(v[o], v[o + 1], v[o + 2]);
+        this.b.set(v[o + 3], v[o + 4], v[o + 5]);
+        this.c.set(v[o + 6], v[o + 7], v[o + 8]);
+    }
+}
@@ -4,6 +4,13 @@
  */
 
 import * as THREE from 'three';
+import { DEFAULT_SURFACE, getSurface } from '../track/Surfaces.js';
+import { OrientedBox } from './OrientedBox.js';
+
+// Wall contact response
+const WALL_RESTITUTION = 0.2; // Bounce off as a fraction of impact speed
+const WALL_FRICTION = 0.3; // Speed lost along the wall per unit of impact speed
+const WALL_ALIGN = 0.5; // Share of the nose-in angle turned away per contact
 
 export class VehiclePhysics {
     constructor() {
@@ -19,6 +26,12 @@ export class VehiclePhysics {
         this.groundNormal = new THREE.Vector3(0, 1, 0);
         this.groundHeight = 0;
 
+        // Surface under each wheel (null when airborne), the most common one,
+        // and the grip / rolling resistance / top speed they add up to
+        this.wheelSurfaces = [null, null, null, null];
+        this.surface = DEFAULT_SURFACE;
+        this.traction = { grip: 1, rollingResistance: 0, topSpeed: 1 };
+
         // Vehicle properties
         this.config = {
             // Engine
@@ -58,14 +71,15 @@ export class VehiclePhysics {
 
         // Wheel positions (for ground checks)
         this.wheelOffsets = [
-            new THREE.Vector3(-0.7, 0, 1.2),   // Front left
-            new THREE.Vector3(0.7, 0, 1.2),    // Front right
-            new THREE.Vector3(-0.7, 0, -1.2),  // Rear left
-            new THREE.Vector3(0.7, 0, -1.2)    // Rear right
+            new THREE.Vector3(-0.7, 0, 1.2),   // Rear left (forward is -Z)
+            new THREE.Vector3(0.7, 0, 1.2),    // Rear right
+            new THREE.Vector3(-0.7, 0, -1.2),  // Front left
+            new THREE.Vector3(0.7, 0, -1.2)    // Front right
         ];
 
         // Collision
         this.boundingBox = new THREE.Box3();
+        this.orientedBox = new OrientedBox();
         this.size = new THREE.Vector3(1.5, 1, 3);
     }
 
@@ -84,6 +98,11 @@ export class VehiclePhysics {
         this.isDrifting = false;
         this.driftFactor = 0;
         this.isGrounded = true;
+        this.groundNormal.set(0, 1, 0);
+        this.groundHeight = 0;
+        this.wheelSurfaces.fill(null);
+        this.surface = DEFAULT_SURFACE;
+        this.traction = { grip: 1, rollingResistance: 0, topSpeed: 1 };
     }
 
     /**
@@ -131,8 +150,12 @@ export class VehiclePhysics {
         let lateralSpeed = this.velocity.dot(right);
 
         // --- ACCELERATION & BRAKING ---
-        if (throttle > 0 && forwardSpeed < cfg.maxSpeed) {
+        const maxSpeed = cfg.maxSpeed * this.traction.topSpeed;
+        if (throttle > 0 && forwardSpeed < maxSpeed) {
             forwardSpeed += cfg.acceleration * throttle * dt;
+        } else if (forwardSpeed > maxSpeed) {
+            // Slow surfaces bleed off speed carried in from faster ones
+            forwardSpeed -= (forwardSpeed - maxSpeed) * Math.min(1, 2 * dt);
         }
 
         if (brake > 0) {
@@ -151,6 +174,9 @@ export class VehiclePhysics {
             forwardSpeed -= forwardSpeed * 0.5 * dt;
         }
 
+        // Surface rolling resistance (sand, grass) applies even on throttle
+        forwardSpeed -= forwardSpeed * this.traction.rollingResistance * dt;
+
         // --- STEERING ---
         // Speed sensitive steering
         const speedFactor = 1 - Math.min(Math.abs(forwardSpeed) / cfg.maxSpeed, 1) * cfg.steerSpeedFactor;
@@ -186,7 +212,7 @@ export class VehiclePhysics {
         // Normal force = 1 (approx mass) * Gravity + Downforce
         const downforce = Math.abs(forwardSpeed) * 1.5; // Aero
         const normalForce = 30 + downforce; // 30 is base gravity
-        const maxGrip = normalForce * cfg.normalFriction;
+        const maxGrip = normalForce * cfg.normalFriction * this.traction.grip;
 
         // Lateral force needed to kill lateral velocity
         const frictionForce = -vLateral * 10; // Stiffness
@@ -247,9 +273,10 @@ export class VehiclePhysics {
         let avgNormal = new THREE.Vector3(0, 0, 0);
         const down = new THREE.Vector3(0, -1, 0).applyQuaternion(this.quaternion);
 
-        this.wheelOffsets.forEach(offset => {
+        this.wheelOffsets.forEach((offset, index) => {
             const wheelPos = offset.clone().applyQuaternion(this.quaternion).add(this.position);
             const rayStart = wheelPos.clone().add(this.quaternion.clone().multiply(new THREE.Vector3(0, 0.5, 0)));
+            this.wheelSurfaces[index] = null;
 
             if (trackCollision) {
                 // Cast ray
@@ -258,6 +285,7 @@ export class VehiclePhysics {
                 if (hit) {
                     groundedWheels++;
                     avgNormal.add(hit.normal);
+                    this.wheelSurfaces[index] = hit.surface;
 
                     // Spring
                     const distance = hit.distance;
@@ -288,11 +316,37 @@ export class VehiclePhysics {
         if (groundedWheels > 0) {
             this.isGrounded = true;
             this.groundNormal.copy(avgNormal.divideScalar(groundedWheels).normalize());
+            this.updateTraction();
         } else {
             this.isGrounded = false;
         }
     }
 
+    /**
+     * Average the surface modifiers of the wheels on the ground
+     */
+    updateTraction() {
+        const counts = {};
+        const traction = { grip: 0, rollingResistance: 0, topSpeed: 0 };
+        let grounded = 0;
+
+        this.wheelSurfaces.forEach(name => {
+            if (!name) return;
+            const surface = getSurface(name);
+
+            traction.grip += surface.grip;
+            traction.rollingResistance += surface.rollingResistance;
+            traction.topSpeed += surface.topSpeed;
+            counts[name] = (counts[name] || 0) + 1;
+            grounded++;
+        });
+
+        this.traction.grip = traction.grip / grounded;
+        this.traction.rollingResistance = traction.rollingResistance / grounded;
+        this.traction.topSpeed = traction.topSpeed / grounded;
+        this.surface = Object.keys(counts).reduce((a, b) => counts[b] > counts[a] ? b : a);
+    }
+
     alignToGround(dt) {
         // Gradually align car rotation to ground normal
         const up = new THREE.Vector3(0, 1, 0);
@@ -314,6 +368,7 @@ export class VehiclePhysics {
     updateBoundingBox() {
         const halfSize = this.size.clone().multiplyScalar(0.5);
         this.boundingBox.setFromCenterAndSize(this.position, this.size);
+        this.orientedBox.set(this.position, halfSize, this.quaternion);
     }
 
     /**
@@ -329,22 +384,46 @@ export class VehiclePhysics {
     checkTrackBounds(trackCollision) {
         if (!trackCollision) return false;
 
-        // Check if car is on track
+        // Wheels on the road count whichever way it faces (wallrides, halfpipes, loops)
+        if (this.isGrounded) return true;
+
+        // Airborne: look for road below the car
         return trackCollision.isOnTrack(this.position);
     }
 
     /**
-     * Apply collision response
+     * Apply collision response, sliding along the surface
+     * contactPoint (optional) lets a nose-first hit turn the car along a wall
      */
-    applyCollision(normal, penetration) {
+    applyCollision(normal, penetration, contactPoint = null) {
         // Push out of collision
-        this.position.add(normal.clone().multiplyScalar(penetration));
+        this.position.addScaledVector(normal, penetration);
+
+        const impact = -this.velocity.dot(normal);
+        if (impact <= 0) return;
+
+        // Cancel motion into the surface with a small bounce
+        this.velocity.addScaledVector(normal, impact * (1 + WALL_RESTITUTION));
 
-        // Reflect velocity
-        const dot = this.velocity.dot(normal);
-        if (dot < 0) {
-            this.velocity.sub(normal.clone().multiplyScalar(dot * 1.5));
-            this.velocity.multiplyScalar(0.7); // Lose some speed
+        // Friction scrubs speed along the surface, harder for harder hits
+        const tangent = this.velocity.clone().addScaledVector(normal, -this.velocity.dot(normal));
+        const tangentSpeed = tangent.length();
+        if (tangentSpeed > 0) {
+            const scrub = Math.min(tangentSpeed, impact * WALL_FRICTION);
+            this.velocity.addScaledVector(tangent, -scrub / tangentSpeed);
+        }
+
+        if (!contactPoint) return;
+
+        // Nose into a wall: yaw towards the wall's direction so the car slides
+        // along it instead of sticking
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.quaternion);
+        const facing = forward.dot(normal);
+        const lever = contactPoint.clone().sub(this.position).dot(forward);
+        if (facing < 0 && lever > 0 && Math.abs(normal.y) < 0.7) {
+            const turn = Math.sign(forward.clone().cross(normal).y);
+            this.rotation.y += turn * Math.asin(Math.min(1, -facing)) * WALL_ALIGN;
+            this.quaternion.setFromEuler(this.rotation);
         }
     }
 
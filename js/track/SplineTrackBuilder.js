@@ -4,6 +4,15 @@
  */
 
 import * as THREE from 'three';
+import { DEFAULT_SURFACE, getSurface } from './Surfaces.js';
+
+const DEFAULT_WIDTH = 15;
+const SAMPLE_SPACING = 3; // Metres between road cross-sections
+const ROAD_THICKNESS = 1;
+const CHECKPOINT_SPACING = 200; // Metres between gates when the track doesn't list them
+const PLAZA_LENGTH = 30; // Flat aprons past both ends of open tracks
+const PLAZA_MARGIN = 5;
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
 
 export class SplineTrackBuilder {
     constructor(renderer, collision) {
@@ -12,15 +21,24 @@ export class SplineTrackBuilder {
         this.trackGroup = new THREE.Group();
 
         // Materials
-        this.roadMaterial = new THREE.MeshLambertMaterial({
-            color: 0x222222,
-            flatShading: true
-        });
+        this.surfaceMaterials = {};
+        this.barrierMaterial = renderer.createMaterial(0x111122);
+        this.curbMaterial = renderer.createMaterial(0xcc0000);
+        this.curbMaterial2 = renderer.createMaterial(0xffffff);
+        this.boostMaterial = renderer.createEmissiveMaterial(0x00ffff, 0.8);
 
         this.spawnPosition = new THREE.Vector3();
         this.spawnRotation = 0;
     }
 
+    /**
+     * Length of the spline centre line in metres, without building it
+     */
+    static measureLength(trackData) {
+        const points = trackData.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+        return new THREE.CatmullRomCurve3(points, !trackData.open).getLength();
+    }
+
     build(trackData) {
         this.clear();
 
@@ -34,50 +52,51 @@ export class SplineTrackBuilder {
 
         if (points.length < 2) return;
 
-        // Create Curve
+        // Create Curve (open tracks run from the first point to the last)
+        this.open = trackData.open === true;
+
         const curve = new THREE.CatmullRomCurve3(points);
-        curve.closed = true;
+        curve.closed = !this.open;
         curve.tension = 0.5;
 
-        // 2. Generate Road Geometry
-        const shape = new THREE.Shape();
-        const width = 15;
-        const thickness = 1;
-
-        // Define simple road profile (flat rectangle)
-        shape.moveTo(-width / 2, -thickness / 2);
-        shape.lineTo(width / 2, -thickness / 2);
-        shape.lineTo(width / 2, thickness / 2);
-        shape.lineTo(-width / 2, thickness / 2);
-
-        const extrudeSettings = {
-            steps: 400,
-            bevelEnabled: false,
-            extrudePath: curve
-        };
+        this.curve = curve;
+        this.controlPoints = trackData.points;
+        this.spanCount = this.open ? points.length - 1 : points.length;
 
-        const roadGeo = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        // 2. Generate Road Geometry (one mesh per run of the same surface, broken at gaps)
+        const features = trackData.features || [];
+        const gaps = features.filter(feature => feature.type === 'gap');
+        const frames = this.sampleFrames(Math.max(100, Math.ceil(curve.getLength() / SAMPLE_SPACING)), gaps);
 
-        // Poly Track style: Bright grey road
-        const road = new THREE.Mesh(roadGeo, new THREE.MeshLambertMaterial({
-            color: 0xdddddd,   // Light grey (Poly Track style)
-            flatShading: true,
-            side: THREE.DoubleSide  // Visible from both sides
-        }));
+        this.splitRoad(frames, gaps).forEach(run => {
+            const road = this.buildRoadMesh(run.frames, run.surface);
 
-        // CRITICAL: Update matrix for raycasting to work
-        road.updateMatrixWorld(true);
+            // CRITICAL: Update matrix for raycasting to work
+            road.updateMatrixWorld(true);
 
-        // Add to scene group
-        this.trackGroup.add(road);
+            // Add to scene group
+            this.trackGroup.add(road);
 
-        // Road Edges (White stripes like Poly Track)
-        const edges = new THREE.EdgesGeometry(roadGeo, 30);
-        const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
-            color: 0xffffff,
-            linewidth: 2
-        }));
-        this.trackGroup.add(line);
+            // Road Edges (White stripes like Poly Track)
+            const edges = new THREE.EdgesGeometry(road.geometry, 30);
+            const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
+                color: 0xffffff,
+                linewidth: 2
+            }));
+            this.trackGroup.add(line);
+
+            // Add Physics Mesh (AFTER matrix update)
+            this.collision.addTrackMesh(road);
+        });
+
+        // Boosts, barriers, curbs and ramps over curve ranges
+        features.forEach(feature => this.buildFeature(feature));
+
+        // Somewhere to stand before the start and to stop after the finish
+        if (this.open) {
+            this.buildPlaza(this.getFrame(0), -1);
+            this.buildPlaza(this.getFrame(1), 1);
+        }
 
         // 3. Extract Spawn Point
         // Get point at very start of curve
@@ -87,39 +106,382 @@ export class SplineTrackBuilder {
         this.spawnPosition.copy(startPoint);
         this.spawnPosition.y += 2;
 
-        // Calculate interaction with Up vector to find rotation
-        this.spawnRotation = Math.atan2(startTangent.x, startTangent.z);
-
-        // Add Physics Mesh (AFTER matrix update)
-        this.collision.addTrackMesh(road);
+        // Car forward is local -Z, so face it along the tangent
+        this.spawnRotation = Math.atan2(-startTangent.x, -startTangent.z);
 
-        // 4. Add Checkpoints
+        // 4. Add Checkpoints (finish line first, then in order along the curve)
         this.checkpointCount = 0;
-        const totalPoints = points.length;
-        // Place checkpoint every 3 control points
-        for (let i = 0; i < totalPoints; i += 3) {
-            const t = i / totalPoints;
-            const pos = curve.getPointAt(t);
-            const tangent = curve.getTangentAt(t).normalize();
-
-            // Lift checkpoint up
-            pos.y += 0.1;
-
-            const isFinish = (i === 0);
-            this.createCheckpoint(pos, tangent, this.checkpointCount++, isFinish);
-        }
+        this.getCheckpointParams(trackData).forEach((t, i) => {
+            this.createCheckpoint(this.getFrame(t), this.checkpointCount++, i === 0);
+        });
 
         this.renderer.add(this.trackGroup);
 
         return {
             spawnPosition: this.spawnPosition,
             spawnRotation: this.spawnRotation,
-            checkpointCount: this.checkpointCount
+            checkpointCount: this.checkpointCount,
+            laps: this.open ? 1 : (trackData.laps || 1),
+            path: frames.map(frame => ({ position: frame.position.clone(), forward: frame.forward.clone() }))
+        };
+    }
+
+    /**
+     * Curve parameters of every gate, starting with the finish line
+     * (at 0 on loops, at the last point on open tracks)
+     * Track checkpoints are { t } curve parameters or { point, offset } with offset in metres
+     */
+    getCheckpointParams(trackData) {
+        const length = this.curve.getLength();
+        let params;
+
+        if (trackData.checkpoints) {
+            params = trackData.checkpoints.map(cp => {
+                const t = cp.point !== undefined
+                    ? this.getPointParam(cp.point) + (cp.offset || 0) / length
+                    : cp.t;
+                return THREE.MathUtils.euclideanModulo(t, 1);
+            });
+        } else {
+            // Even spacing by arc length, so adding points doesn't move gates around
+            const count = Math.max(3, Math.round(length / CHECKPOINT_SPACING));
+            params = [];
+            for (let i = 1; i < count; i++) {
+                params.push(i / count);
+            }
+        }
+
+        return [this.open ? 1 : 0, ...new Set(params.filter(t => t > 0 && t < 1).sort((a, b) => a - b))];
+    }
+
+    /**
+     * Curve parameter (arc length fraction) of a control point
+     */
+    getPointParam(index) {
+        const lengths = this.curve.getLengths();
+        const last = lengths.length - 1;
+
+        const x = index / this.spanCount * last;
+        const i = Math.min(Math.floor(x), last - 1);
+        const distance = THREE.MathUtils.lerp(lengths[i], lengths[i + 1], x - i);
+
+        return distance / lengths[last];
+    }
+
+    /**
+     * Road frame at arc length fraction t (0-1)
+     * Width and bank blend between control points, surface holds until the next point
+     */
+    getFrame(t) {
+        const curve = this.curve;
+        const u = curve.getUtoTmapping(t);
+
+        const position = curve.getPoint(u);
+        const forward = curve.getTangent(u).normalize();
+
+        // Control point span this sample falls in
+        const span = u * this.spanCount;
+        const i0 = Math.min(Math.floor(span), this.spanCount - 1);
+        const i1 = (i0 + 1) % this.controlPoints.length;
+        const f = span - i0;
+        const blend = f * f * (3 - 2 * f); // Smoothstep
+
+        const p0 = this.controlPoints[i0];
+        const p1 = this.controlPoints[i1];
+        const width = THREE.MathUtils.lerp(p0.width ?? DEFAULT_WIDTH, p1.width ?? DEFAULT_WIDTH, blend);
+        const bank = THREE.MathUtils.lerp(p0.bank ?? 0, p1.bank ?? 0, blend);
+
+        // Flat frame, then roll around the tangent (positive bank raises the left edge)
+        const right = new THREE.Vector3().crossVectors(forward, WORLD_UP).normalize();
+        const up = new THREE.Vector3().crossVectors(right, forward).normalize();
+        right.applyAxisAngle(forward, bank);
+        up.applyAxisAngle(forward, bank);
+
+        return {
+            t: t,
+            position: position,
+            forward: forward,
+            right: right,
+            up: up,
+            width: width,
+            bank: bank,
+            surface: p0.surface || DEFAULT_SURFACE
+        };
+    }
+
+    /**
+     * Evenly spaced road frames around the whole curve, plus frames exactly at gap edges
+     */
+    sampleFrames(steps, gaps = []) {
+        const params = [];
+        for (let i = 0; i <= steps; i++) {
+            params.push(i / steps);
+        }
+        gaps.forEach(gap => params.push(gap.from, gap.to));
+
+        return [...new Set(params)]
+            .sort((a, b) => a - b)
+            .map(t => this.getFrame(t));
+    }
+
+    /**
+     * Frames covering a feature range. A range with to < from wraps past the start line
+     */
+    sampleRange(from, to) {
+        const end = to < from ? to + 1 : to;
+        const steps = Math.max(1, Math.ceil((end - from) * this.curve.getLength() / SAMPLE_SPACING));
+        const frames = [];
+
+        for (let i = 0; i <= steps; i++) {
+            const t = from + (end - from) * i / steps;
+            frames.push(this.getFrame(t > 1 ? t - 1 : t));
+        }
+        return frames;
+    }
+
+    static inRange(t, range) {
+        return range.from <= range.to
+            ? t > range.from && t < range.to
+            : t > range.from || t < range.to;
+    }
+
+    /**
+     * Split frames into runs of one surface, sharing the frame where surfaces meet
+     * and leaving out frames inside gaps
+     */
+    splitRoad(frames, gaps) {
+        const runs = [];
+        let current = null;
+
+        frames.forEach(frame => {
+            if (gaps.some(gap => SplineTrackBuilder.inRange(frame.t, gap))) {
+                current = null;
+            } else if (!current || current.surface !== frame.surface) {
+                if (current) current.frames.push(frame);
+                current = { surface: frame.surface, frames: [frame] };
+                runs.push(current);
+            } else {
+                current.frames.push(frame);
+            }
+        });
+
+        return runs.filter(run => run.frames.length > 1);
+    }
+
+    /**
+     * Cross-section corners (top-left, top-right, bottom-right, bottom-left),
+     * with bottom and top measured along the frame's up from the centre line
+     */
+    getCorners(frame, halfWidth, bottom, top, offset = 0) {
+        const centre = frame.position.clone().addScaledVector(frame.right, offset);
+        const side = frame.right.clone().multiplyScalar(halfWidth);
+        const topCentre = centre.clone().addScaledVector(frame.up, top);
+        const bottomCentre = centre.clone().addScaledVector(frame.up, bottom);
+
+        return [
+            topCentre.clone().sub(side),
+            topCentre.clone().add(side),
+            bottomCentre.clone().add(side),
+            bottomCentre.clone().sub(side)
+        ];
+    }
+
+    /**
+     * Sweep a box profile through a list of cross-sections, capping both ends
+     */
+    sweep(sections, material) {
+        const positions = [];
+
+        const quad = (a, b, c, d) => {
+            positions.push(a.x, a.y, a.z, c.x, c.y, c.z, b.x, b.y, b.z);
+            positions.push(a.x, a.y, a.z, d.x, d.y, d.z, c.x, c.y, c.z);
         };
+
+        for (let i = 0; i < sections.length - 1; i++) {
+            const [tl0, tr0, br0, bl0] = sections[i];
+            const [tl1, tr1, br1, bl1] = sections[i + 1];
+
+            quad(tl0, tl1, tr1, tr0); // Top (faces up)
+            quad(bl0, br0, br1, bl1); // Bottom
+            quad(tl0, bl0, bl1, tl1); // Left side
+            quad(tr0, tr1, br1, br0); // Right side
+        }
+
+        const [tls, trs, brs, bls] = sections[0];
+        const [tle, tre, bre, ble] = sections[sections.length - 1];
+        quad(tls, trs, brs, bls); // Start cap
+        quad(tle, ble, bre, tre); // End cap
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    /**
+     * Sweep the road box profile along frames
+     */
+    buildRoadMesh(frames, surface) {
+        const sections = frames.map(frame =>
+            this.getCorners(frame, frame.width / 2, -ROAD_THICKNESS / 2, ROAD_THICKNESS / 2)
+        );
+
+        const road = this.sweep(sections, this.getSurfaceMaterial(surface));
+        road.userData.surface = surface;
+
+        return road;
     }
 
-    createCheckpoint(pos, dir, index, isFinish) {
-        const width = 20;
+    getSurfaceMaterial(surface) {
+        if (!this.surfaceMaterials[surface]) {
+            this.surfaceMaterials[surface] = new THREE.MeshLambertMaterial({
+                color: getSurface(surface).color,
+                flatShading: true,
+                side: THREE.DoubleSide  // Visible from both sides
+            });
+        }
+        return this.surfaceMaterials[surface];
+    }
+
+    /**
+     * Flat apron past an open road end (outward -1 at the start, 1 at the finish),
+     * walled off at the far side
+     */
+    buildPlaza(frame, outward) {
+        const width = frame.width + PLAZA_MARGIN * 2;
+        const far = { ...frame, position: frame.position.clone().addScaledVector(frame.forward, outward * PLAZA_LENGTH) };
+
+        // Sections run along the road direction so the top faces up
+        const ends = outward < 0 ? [far, frame] : [frame, far];
+        const sections = ends.map(end =>
+            this.getCorners(end, width / 2, -ROAD_THICKNESS / 2, ROAD_THICKNESS / 2)
+        );
+
+        const plaza = this.sweep(sections, this.getSurfaceMaterial(DEFAULT_SURFACE));
+        plaza.userData.surface = DEFAULT_SURFACE;
+        plaza.updateMatrixWorld(true);
+
+        this.trackGroup.add(plaza);
+        this.collision.addTrackMesh(plaza);
+
+        const wall = new THREE.Mesh(new THREE.BoxGeometry(width, 1.5, 0.5), this.barrierMaterial);
+        wall.position.copy(far.position).addScaledVector(frame.up, ROAD_THICKNESS / 2 + 0.75);
+        wall.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(frame.right.clone().negate(), frame.up, frame.forward));
+        wall.castShadow = true;
+        wall.updateMatrixWorld(true);
+
+        this.trackGroup.add(wall);
+        this.collision.addBarrierMesh(wall);
+    }
+
+    buildFeature(feature) {
+        const frames = this.sampleRange(feature.from, feature.to);
+
+        switch (feature.type) {
+            case 'boost':
+                this.buildBoost(frames, feature.width);
+                break;
+            case 'barrier':
+                this.addBarriers(frames, feature.side || 'both');
+                break;
+            case 'curb':
+                this.addCurbs(frames, feature.side || 'both');
+                break;
+            case 'ramp':
+                this.buildRamp(frames, feature.height || 3);
+                break;
+            // Gaps are cut out of the road itself
+        }
+    }
+
+    buildBoost(frames, width) {
+        const top = ROAD_THICKNESS / 2;
+        const sections = frames.map(frame =>
+            this.getCorners(frame, (width || frame.width * 0.6) / 2, top, top + 0.05)
+        );
+        this.trackGroup.add(this.sweep(sections, this.boostMaterial));
+
+        // Boost zones follow the curve one segment at a time
+        for (let i = 0; i < frames.length - 1; i++) {
+            const bounds = new THREE.Box3()
+                .setFromPoints([...sections[i], ...sections[i + 1]])
+                .expandByVector(new THREE.Vector3(0, 1, 0));
+
+            this.collision.addBoostPad(
+                bounds.getCenter(new THREE.Vector3()),
+                bounds.getSize(new THREE.Vector3()),
+                frames[i].forward
+            );
+        }
+    }
+
+    buildRamp(frames, height) {
+        const top = ROAD_THICKNESS / 2;
+        const last = frames.length - 1;
+        const sections = frames.map((frame, i) =>
+            this.getCorners(frame, frame.width / 2, top, top + height * i / last)
+        );
+
+        const ramp = this.sweep(sections, this.getSurfaceMaterial(frames[0].surface));
+        ramp.userData.surface = frames[0].surface;
+        ramp.updateMatrixWorld(true);
+
+        this.trackGroup.add(ramp);
+        this.collision.addTrackMesh(ramp);
+    }
+
+    addBarriers(frames, side) {
+        this.forEachEdge(frames, side, (from, to, sign) => {
+            const barrier = this.buildEdgeBox(from, to, sign * (from.width / 2 + 0.8), 0.3, 0.8, this.barrierMaterial);
+            barrier.castShadow = true;
+            this.collision.addBarrierMesh(barrier);
+        });
+    }
+
+    addCurbs(frames, side) {
+        this.forEachEdge(frames, side, (from, to, sign, i) => {
+            const material = i % 2 === 0 ? this.curbMaterial : this.curbMaterial2;
+            this.buildEdgeBox(from, to, sign * (from.width / 2 + 0.25), 0.5, 0.1, material);
+        });
+    }
+
+    /**
+     * Call back for every segment along the left (-1) and/or right (+1) road edge
+     */
+    forEachEdge(frames, side, callback) {
+        const signs = side === 'left' ? [-1] : side === 'right' ? [1] : [-1, 1];
+
+        for (let i = 0; i < frames.length - 1; i++) {
+            signs.forEach(sign => callback(frames[i], frames[i + 1], sign, i));
+        }
+    }
+
+    /**
+     * Box sitting on the road between two frames, shifted sideways by offset
+     */
+    buildEdgeBox(from, to, offset, width, height, material) {
+        const lift = ROAD_THICKNESS / 2 + height / 2;
+        const start = from.position.clone().addScaledVector(from.right, offset).addScaledVector(from.up, lift);
+        const end = to.position.clone().addScaledVector(to.right, offset).addScaledVector(to.up, lift);
+
+        const box = new THREE.Mesh(new THREE.BoxGeometry(width, height, start.distanceTo(end)), material);
+        box.position.copy(start).add(end).multiplyScalar(0.5);
+
+        // Local Z along the road, Y along the road's up
+        const left = from.right.clone().negate();
+        box.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(left, from.up, from.forward));
+        box.updateMatrixWorld(true);
+
+        this.trackGroup.add(box);
+        return box;
+    }
+
+    createCheckpoint(frame, index, isFinish) {
+        // Gate spans the local road width with a little room either side
+        const width = frame.width + 5;
         const height = 8;
         const material = new THREE.MeshBasicMaterial({
             color: isFinish ? 0xffffff : 0x00ffff,
@@ -128,24 +490,22 @@ export class SplineTrackBuilder {
             side: THREE.DoubleSide
         });
 
+        const pos = frame.position.clone();
+        pos.y += 0.1; // Lift checkpoint up
+
         // Visual Gate (Simple Arch)
         const gateGeo = new THREE.TorusGeometry(width / 2, 0.5, 8, 16, Math.PI);
         const gate = new THREE.Mesh(gateGeo, material);
 
         // Orient gate
-        const angle = Math.atan2(dir.x, dir.z);
+        const angle = Math.atan2(frame.forward.x, frame.forward.z);
         gate.rotation.y = angle;
         gate.position.copy(pos);
-        gate.position.y += 0; // Torus draws from center, but it's an arch (half torus)
 
         this.trackGroup.add(gate);
 
-        // Collision Zone
-        const cpSize = new THREE.Vector3(width, height, 2);
-        const cpPos = pos.clone();
-        cpPos.y += height / 2;
-
-        this.collision.addCheckpoint(cpPos, cpSize, index, isFinish);
+        // Gate plane across the (possibly banked) road under the arch
+        this.collision.addCheckpoint(frame.position, frame.forward, frame.up, width, height, index, isFinish);
     }
 
     clear() {
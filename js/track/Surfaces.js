@@ -0,0 +1,59 @@
+/**
+ * Track Surfaces
+ * Surface types that track meshes can be tagged with, and how they drive
+ *
+ * grip scales tyre grip, rollingResistance is the share of speed lost per second,
+ * topSpeed scales the engine's top speed. particles and sound drive the wheel effects
+ */
+
+export const DEFAULT_SURFACE = 'asphalt';
+
+export const SURFACES = {
+    asphalt: {
+        color: 0xdddddd,
+        grip: 1,
+        rollingResistance: 0,
+        topSpeed: 1,
+        particles: null,
+        sound: null
+    },
+    dirt: {
+        color: 0x9b7653,
+        grip: 0.75,
+        rollingResistance: 0.15,
+        topSpeed: 0.85,
+        particles: { color: 0xb08a60, size: 0.5 },
+        sound: { volume: 0.12, filter: 600 }
+    },
+    ice: {
+        color: 0xc8f0ff,
+        grip: 0.25,
+        rollingResistance: 0,
+        topSpeed: 1,
+        particles: { color: 0xeef8ff, size: 0.2 },
+        sound: { volume: 0.05, filter: 3000 }
+    },
+    grass: {
+        color: 0x5fa050,
+        grip: 0.6,
+        rollingResistance: 0.4,
+        topSpeed: 0.7,
+        particles: { color: 0x4f8a40, size: 0.3 },
+        sound: { volume: 0.1, filter: 400 }
+    },
+    sand: {
+        color: 0xe0c98a,
+        grip: 0.5,
+        rollingResistance: 0.8,
+        topSpeed: 0.55,
+        particles: { color: 0xe8d49a, size: 0.6 },
+        sound: { volume: 0.15, filter: 300 }
+    }
+};
+
+/**
+ * Look up a surface, falling back to asphalt for unknown names
+ */
+export function getSurface(name) {
+    return SURFACES[name] || SURFACES[DEFAULT_SURFACE];
+}
@@ -4,6 +4,10 @@
  */
 
 import * as THREE from 'three';
+import { DEFAULT_SURFACE, getSurface } from './Surfaces.js';
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const PATH_SPACING = 5; // Metres between centre line samples
 
 export class TrackBuilder {
     constructor(renderer, collision) {
@@ -21,11 +25,44 @@ export class TrackBuilder {
         this.boostMaterial = renderer.createEmissiveMaterial(0x00ffff, 0.8); // Cyan boost
         this.checkpointMaterial = renderer.createEmissiveMaterial(0xffff00, 0.3);
         this.finishMaterial = renderer.createEmissiveMaterial(0xffffff, 0.5);
+        this.tunnelMaterial = renderer.createMaterial(0x2a2a3a, { side: THREE.DoubleSide });
+
+        this.surfaceMaterials = {};
+        this.surface = DEFAULT_SURFACE; // Surface of the piece being built
 
         // Track data
         this.spawnPosition = new THREE.Vector3(0, 0, 0);
         this.spawnRotation = 0;
         this.checkpointCount = 0;
+
+        // Start transform of every piece (used by the editor's test drive)
+        this.pieceStarts = [];
+
+        // Centre line samples { position, forward } (used for wrong-way checks)
+        this.path = [];
+    }
+
+    /**
+     * Road material for a surface (asphalt keeps the classic dark road)
+     */
+    getRoadMaterial(surface) {
+        if (surface === DEFAULT_SURFACE) return this.roadMaterial;
+
+        if (!this.surfaceMaterials[surface]) {
+            this.surfaceMaterials[surface] = this.renderer.createMaterial(getSurface(surface).color);
+        }
+        return this.surfaceMaterials[surface];
+    }
+
+    /**
+     * Add a drivable mesh, tagged with the current piece's surface
+     */
+    addRoadMesh(mesh) {
+        mesh.material = this.getRoadMaterial(this.surface);
+        mesh.userData.surface = this.surface;
+
+        this.trackGroup.add(mesh);
+        this.collision.addTrackMesh(mesh);
     }
 
     createRoadMaterial() {
@@ -35,6 +72,37 @@ export class TrackBuilder {
         });
     }
 
+    /**
+     * Driving length of a piece track in metres, without building it
+     */
+    static measureLength(trackData) {
+        return trackData.pieces.reduce((total, piece) => {
+            const length = piece.length || 20;
+
+            switch (piece.type) {
+                case 'straight':
+                case 'boost':
+                case 'halfpipe':
+                case 'tunnel':
+                case 'wallride':
+                    return total + length;
+                case 'curve':
+                case 'bankedCurve':
+                    return total + (piece.radius || 30) * Math.abs(piece.angle || 0);
+                case 'scurve':
+                    return total + 2 * (piece.radius || 30) * Math.abs(piece.angle || 0.8);
+                case 'ramp':
+                    return total + Math.hypot(length, piece.heightChange || 0);
+                case 'jump':
+                    return total + 2 * Math.hypot(length * 0.4, piece.jumpHeight || 3) + length * 0.2;
+                case 'loop':
+                    return total + Math.PI * 2 * (piece.radius || 10);
+                default:
+                    return total;
+            }
+        }, 0);
+    }
+
     /**
      * Build track from definition
      */
@@ -52,7 +120,15 @@ export class TrackBuilder {
 
         // Process each piece
         trackData.pieces.forEach((piece, index) => {
+            this.pieceStarts.push({
+                position: position.clone(),
+                direction: direction,
+                height: height,
+                checkpointIndex: this.checkpointCount
+            });
+
             const result = this.buildPiece(piece, position.clone(), direction, height, index);
+            this.addPathSamples(position, direction, height, result);
             position = result.endPosition;
             direction = result.endDirection;
             height = result.endHeight;
@@ -67,10 +143,30 @@ export class TrackBuilder {
         return {
             spawnPosition: this.spawnPosition,
             spawnRotation: Math.PI, // Face forward (away from camera default)
-            checkpointCount: this.checkpointCount
+            checkpointCount: this.checkpointCount,
+            pieceStarts: this.pieceStarts,
+            path: this.path
         };
     }
 
+    /**
+     * Centre line samples from a piece's start to its end, turning evenly
+     * from the start heading to the end heading (curves cut their chord)
+     */
+    addPathSamples(startPos, startDir, startHeight, result) {
+        const steps = Math.max(1, Math.ceil(startPos.distanceTo(result.endPosition) / PATH_SPACING));
+
+        for (let i = 0; i < steps; i++) {
+            const f = i / steps;
+            const dir = THREE.MathUtils.lerp(startDir, result.endDirection, f);
+
+            this.path.push({
+                position: startPos.clone().lerp(result.endPosition, f).setY(THREE.MathUtils.lerp(startHeight, result.endHeight, f)),
+                forward: new THREE.Vector3(Math.sin(dir), 0, Math.cos(dir))
+            });
+        }
+    }
+
     buildPiece(piece, startPos, startDir, startHeight, index) {
         const type = piece.type;
         const length = piece.length || 20;
@@ -82,6 +178,8 @@ export class TrackBuilder {
         let endDir = startDir;
         let endHeight = startHeight;
 
+        this.surface = piece.surface || DEFAULT_SURFACE;
+
         switch (type) {
             case 'straight':
                 endPos = this.buildStraight(startPos, startDir, length, width, startHeight);
@@ -111,6 +209,31 @@ export class TrackBuilder {
                 endPos = this.buildBoostPad(startPos, startDir, length, width, startHeight);
                 break;
 
+            case 'scurve': {
+                // Two opposite curves, leaving on the starting heading shifted sideways
+                const sAngle = piece.angle || 0.8;
+                const firstHalf = this.buildCurve(startPos, startDir, piece.radius || 30, sAngle, width, startHeight);
+                endPos = this.buildCurve(firstHalf.position, startDir + sAngle, piece.radius || 30, -sAngle, width, startHeight).position;
+                break;
+            }
+
+            case 'bankedCurve':
+                endPos = this.buildBankedCurve(startPos, startDir, piece.radius || 30, angle, piece.bank ?? 0.35, width, startHeight);
+                endDir = startDir + angle;
+                break;
+
+            case 'halfpipe':
+                endPos = this.buildHalfpipe(startPos, startDir, length, width, piece.wallHeight || 4, startHeight);
+                break;
+
+            case 'tunnel':
+                endPos = this.buildTunnel(startPos, startDir, length, width, piece.height || 6, startHeight);
+                break;
+
+            case 'wallride':
+                endPos = this.buildWallride(startPos, startDir, length, width, piece.angle ?? Math.PI / 2, piece.side || 'left', startHeight);
+                break;
+
             case 'checkpoint':
                 this.buildCheckpoint(startPos, startDir, width, startHeight, this.checkpointCount++, piece.isFinish || false);
                 endPos = startPos.clone();
@@ -132,7 +255,7 @@ export class TrackBuilder {
     buildStraight(pos, dir, length, width, height) {
         // Road surface
         const roadGeo = new THREE.PlaneGeometry(width, length, 1, 4);
-        const road = new THREE.Mesh(roadGeo, this.roadMaterial);
+        const road = new THREE.Mesh(roadGeo);
 
         road.rotation.x = -Math.PI / 2;
         road.rotation.z = -dir;
@@ -143,8 +266,7 @@ export class TrackBuilder {
         );
         road.receiveShadow = true;
 
-        this.trackGroup.add(road);
-        this.collision.addTrackMesh(road);
+        this.addRoadMesh(road);
 
         // Curbs
         this.addCurbs(pos, dir, length, width, height);
@@ -195,7 +317,7 @@ export class TrackBuilder {
         const rampAngle = Math.atan2(heightChange, length);
 
         const roadGeo = new THREE.PlaneGeometry(width, hypotenuse, 1, 4);
-        const road = new THREE.Mesh(roadGeo, this.roadMaterial);
+        const road = new THREE.Mesh(roadGeo);
 
         road.rotation.x = -Math.PI / 2 + rampAngle;
         road.rotation.z = -dir;
@@ -208,8 +330,7 @@ export class TrackBuilder {
         );
         road.receiveShadow = true;
 
-        this.trackGroup.add(road);
-        this.collision.addTrackMesh(road);
+        this.addRoadMesh(road);
 
         return new THREE.Vector3(
             pos.x + Math.sin(dir) * length,
@@ -237,50 +358,238 @@ export class TrackBuilder {
         );
     }
 
+    /**
+     * Vertical loop in the plane of the current heading. The exit is shifted
+     * sideways by a road width so it doesn't overlap the entry
+     */
     buildLoop(pos, dir, radius, width, height) {
-        // Create loop using multiple curved segments
-        const segments = 16;
-        const segmentAngle = (Math.PI * 2) / segments;
+        const forward = new THREE.Vector3(Math.sin(dir), 0, Math.cos(dir));
+        const right = new THREE.Vector3(-Math.cos(dir), 0, Math.sin(dir));
+        const start = new THREE.Vector3(pos.x, height + 0.01, pos.z);
+        const lateral = width + 2;
+
+        // Roughly 2 m per segment keeps the collision surface smooth
+        const segments = Math.max(32, Math.ceil(Math.PI * 2 * radius / 2));
+        const frames = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const sin = Math.sin(angle);
+            const cos = Math.cos(angle);
+
+            const position = start.clone()
+                .addScaledVector(forward, sin * radius)
+                .addScaledVector(WORLD_UP, (1 - cos) * radius)
+                .addScaledVector(right, lateral * i / segments);
+
+            // Road faces the loop centre
+            const up = WORLD_UP.clone().multiplyScalar(cos).addScaledVector(forward, -sin);
+            const tangent = forward.clone().multiplyScalar(cos * radius)
+                .addScaledVector(WORLD_UP, sin * radius)
+                .addScaledVector(right, lateral / (Math.PI * 2))
+                .normalize();
+
+            frames.push({
+                position: position,
+                up: up,
+                right: new THREE.Vector3().crossVectors(tangent, up).normalize()
+            });
+        }
 
-        for (let i = 0; i < segments; i++) {
-            const angle = i * segmentAngle;
-            const nextAngle = (i + 1) * segmentAngle;
+        const loop = this.buildSweep(frames, [[-width / 2, 0], [width / 2, 0]]);
+        this.addRoadMesh(loop);
 
-            // Calculate positions on circle (in vertical plane)
-            const y1 = height + radius + Math.cos(angle) * radius;
-            const z1 = pos.z + Math.sin(angle) * radius;
-            const y2 = height + radius + Math.cos(nextAngle) * radius;
-            const z2 = pos.z + Math.sin(nextAngle) * radius;
+        // Exit where we came in, one road width to the right
+        return new THREE.Vector3(
+            pos.x + right.x * lateral,
+            height,
+            pos.z + right.z * lateral
+        );
+    }
 
-            const segmentLength = Math.sqrt(Math.pow(z2 - z1, 2) + Math.pow(y2 - y1, 2));
+    /**
+     * Mesh swept through frames ({ position, right, up }). The profile lists
+     * cross-section points as [across, up] offsets from left to right; faces point along up.
+     * Without a material the mesh is meant for addRoadMesh
+     */
+    buildSweep(frames, profile, material) {
+        const positions = [];
+        const indices = [];
+        const stride = profile.length;
+
+        frames.forEach(frame => {
+            profile.forEach(([across, lift]) => {
+                const point = frame.position.clone()
+                    .addScaledVector(frame.right, across)
+                    .addScaledVector(frame.up, lift);
+                positions.push(point.x, point.y, point.z);
+            });
+        });
 
-            // Create road segment
-            const roadGeo = new THREE.PlaneGeometry(width, segmentLength);
-            const road = new THREE.Mesh(roadGeo, this.roadMaterial);
+        for (let i = 0; i < frames.length - 1; i++) {
+            for (let j = 0; j < stride - 1; j++) {
+                const a = i * stride + j;
+                const b = a + 1;
+                const c = a + stride;
+                const d = c + 1;
+                indices.push(a, b, c, b, d, c);
+            }
+        }
 
-            road.position.set(
-                pos.x + Math.sin(dir) * (radius),
-                (y1 + y2) / 2,
-                (z1 + z2) / 2
-            );
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.receiveShadow = true;
+        mesh.updateMatrixWorld(true);
+        return mesh;
+    }
+
+    /**
+     * Curve with the outside edge raised by bank (radians), easing in and out
+     * so both ends meet flat road
+     */
+    buildBankedCurve(pos, dir, radius, angle, bank, width, height) {
+        const turnDir = angle > 0 ? 1 : -1;
+        const center = pos.clone().add(new THREE.Vector3(
+            Math.cos(dir) * radius * turnDir,
+            0,
+            -Math.sin(dir) * radius * turnDir
+        ));
+        const offset = new THREE.Vector3(pos.x, 0, pos.z).sub(new THREE.Vector3(center.x, 0, center.z));
+        const segments = Math.max(8, Math.ceil(radius * Math.abs(angle) / 2));
+        const frames = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const s = i / segments;
+            const turn = angle * s;
+            const base = new THREE.Vector3(center.x, height + 0.01, center.z)
+                .add(offset.clone().applyAxisAngle(WORLD_UP, turn));
+
+            // Raise the outside edge: right edge on left turns, left edge on right turns
+            const ease = THREE.MathUtils.smoothstep(Math.min(s, 1 - s), 0, 0.2);
+            frames.push(TrackBuilder.rolledFrame(base, dir + turn, -turnDir * bank * ease, width));
+        }
+
+        const road = this.buildSweep(frames, [[-width / 2, 0], [width / 2, 0]]);
+        this.addRoadMesh(road);
+
+        const end = offset.clone().applyAxisAngle(WORLD_UP, angle).add(center);
+        return new THREE.Vector3(end.x, height, end.z);
+    }
+
+    /**
+     * Straight with quarter-pipe walls curving up on both sides
+     */
+    buildHalfpipe(pos, dir, length, width, wallHeight, height) {
+        const profile = [];
+        const steps = 6;
+
+        // Left wall from the top down, flat floor, right wall from the bottom up
+        for (let i = steps; i >= 0; i--) {
+            const a = (i / steps) * Math.PI / 2;
+            profile.push([-width / 2 - Math.sin(a) * wallHeight, (1 - Math.cos(a)) * wallHeight]);
+        }
+        for (let i = 0; i <= steps; i++) {
+            const a = (i / steps) * Math.PI / 2;
+            profile.push([width / 2 + Math.sin(a) * wallHeight, (1 - Math.cos(a)) * wallHeight]);
+        }
+
+        const frames = [0, 1].map(s => TrackBuilder.rolledFrame(
+            new THREE.Vector3(pos.x + Math.sin(dir) * length * s, height + 0.01, pos.z + Math.cos(dir) * length * s),
+            dir, 0, width
+        ));
+
+        const pipe = this.buildSweep(frames, profile);
+        this.addRoadMesh(pipe);
+
+        return new THREE.Vector3(
+            pos.x + Math.sin(dir) * length,
+            height,
+            pos.z + Math.cos(dir) * length
+        );
+    }
+
+    /**
+     * Straight road under an arched roof that the car can't pass through
+     */
+    buildTunnel(pos, dir, length, width, tunnelHeight, height) {
+        const endPos = this.buildStraight(pos, dir, length, width, height);
+
+        // Arch from the right wall over the top to the left, so faces point inside
+        const halfSpan = width / 2 + 1.5;
+        const profile = [];
+        const steps = 12;
+        for (let i = 0; i <= steps; i++) {
+            const a = (i / steps) * Math.PI;
+            profile.push([Math.cos(a) * halfSpan, Math.sin(a) * tunnelHeight]);
+        }
+
+        const frames = [0, 1].map(s => TrackBuilder.rolledFrame(
+            new THREE.Vector3(pos.x + Math.sin(dir) * length * s, height, pos.z + Math.cos(dir) * length * s),
+            dir, 0, width
+        ));
+
+        const roof = this.buildSweep(frames, profile, this.tunnelMaterial);
+        roof.castShadow = true;
+        this.trackGroup.add(roof);
+        this.collision.addCeilingMesh(roof);
 
-            // Orient segment
-            road.rotation.x = -angle - segmentAngle / 2;
-            road.rotation.z = -dir;
+        return endPos;
+    }
+
+    /**
+     * Straight whose road rolls up onto one edge (up to 90 degrees) and back down.
+     * side is the edge that rises
+     */
+    buildWallride(pos, dir, length, width, rollAngle, side, height) {
+        const roll = (side === 'right' ? -1 : 1) * Math.min(Math.abs(rollAngle), Math.PI / 2);
+        const segments = Math.max(16, Math.ceil(length / 2));
+        const frames = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const s = i / segments;
+            const base = new THREE.Vector3(
+                pos.x + Math.sin(dir) * length * s,
+                height + 0.01,
+                pos.z + Math.cos(dir) * length * s
+            );
 
-            road.receiveShadow = true;
-            this.trackGroup.add(road);
-            this.collision.addTrackMesh(road);
+            // Roll up over the first 30%, hold, roll back over the last 30%
+            const ease = THREE.MathUtils.smoothstep(Math.min(s, 1 - s), 0, 0.3);
+            frames.push(TrackBuilder.rolledFrame(base, dir, roll * ease, width));
         }
 
-        // Return exit position
+        const road = this.buildSweep(frames, [[-width / 2, 0], [width / 2, 0]]);
+        this.addRoadMesh(road);
+
         return new THREE.Vector3(
-            pos.x + Math.sin(dir) * (radius * 2),
+            pos.x + Math.sin(dir) * length,
             height,
-            pos.z + radius * 2
+            pos.z + Math.cos(dir) * length
         );
     }
 
+    /**
+     * Road frame on heading dir rolled about the heading (positive raises the
+     * left edge), pivoting on the lower edge so the road never dips below base
+     */
+    static rolledFrame(base, dir, roll, width) {
+        const forward = new THREE.Vector3(Math.sin(dir), 0, Math.cos(dir));
+        const flatRight = new THREE.Vector3(-Math.cos(dir), 0, Math.sin(dir));
+        const right = flatRight.clone().applyAxisAngle(forward, roll);
+        const up = WORLD_UP.clone().applyAxisAngle(forward, roll);
+
+        const edge = Math.sign(roll) * width / 2;
+        const position = base.clone()
+            .addScaledVector(flatRight, edge)
+            .addScaledVector(right, -edge);
+
+        return { position, right, up };
+    }
+
     buildBoostPad(pos, dir, length, width, height) {
         // Boost surface
         const boostGeo = new THREE.PlaneGeometry(width * 0.6, length);
@@ -359,11 +668,11 @@ export class TrackBuilder {
         bar.rotation.y = dir;
         this.trackGroup.add(bar);
 
-        // Add checkpoint collision zone
-        const cpPos = new THREE.Vector3(pos.x, height + 2, pos.z);
-        const cpSize = new THREE.Vector3(width + 2, 4, 2);
+        // Gate between the posts, up to the top bar
+        const cpPos = new THREE.Vector3(pos.x, height, pos.z);
+        const forward = new THREE.Vector3(Math.sin(dir), 0, Math.cos(dir));
 
-        this.collision.addCheckpoint(cpPos, cpSize, index, isFinish);
+        this.collision.addCheckpoint(cpPos, forward, WORLD_UP, width + 1, 4, index, isFinish);
     }
 
     addCurbs(pos, dir, length, width, height) {
@@ -457,5 +766,7 @@ export class TrackBuilder {
         this.trackGroup = new THREE.Group();
         this.collision.clear();
         this.checkpointCount = 0;
+        this.pieceStarts = [];
+        this.path = [];
     }
 }
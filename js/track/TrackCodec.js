@@ -0,0 +1,99 @@
+/**
+ * Track Codec
+ * Packs track JSON into short shareable text codes and back
+ */
+
+// Codes look like "PR1.<base64url>", where 1 is the code format version
+export const TRACK_CODE_VERSION = 1;
+const CODE_PREFIX = 'PR';
+const URL_PARAM = 'track=';
+
+// Decoders by code version, kept so old codes still load
+const DECODERS = {
+    1: async (payload) => {
+        const bytes = await TrackCodec.transform(TrackCodec.fromBase64Url(payload), new DecompressionStream('deflate-raw'));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+};
+
+export class TrackCodec {
+    /**
+     * Encode track data into a share code
+     */
+    static async encode(trackData) {
+        const json = JSON.stringify(trackData);
+        const bytes = await TrackCodec.transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+        return `${CODE_PREFIX}${TRACK_CODE_VERSION}.${TrackCodec.toBase64Url(bytes)}`;
+    }
+
+    /**
+     * Decode a share code, a "#track=" fragment or a full share URL
+     */
+    static async decode(input) {
+        const code = TrackCodec.extractCode(input);
+        const match = /^PR(\d+)\.([A-Za-z0-9_-]+)$/.exec(code);
+
+        if (!match) {
+            throw new Error('Not a track code');
+        }
+
+        const version = parseInt(match[1], 10);
+        const decoder = DECODERS[version];
+        if (!decoder) {
+            throw new Error(`Track code version ${version} is not supported (latest is ${TRACK_CODE_VERSION})`);
+        }
+
+        try {
+            return await decoder(match[2]);
+        } catch (error) {
+            throw new Error('Track code is damaged or incomplete');
+        }
+    }
+
+    /**
+     * Share URL pointing at this page with the code in the fragment
+     */
+    static toURL(code) {
+        return `${location.origin}${location.pathname}#${URL_PARAM}${code}`;
+    }
+
+    /**
+     * Pull the code out of a pasted URL or fragment
+     */
+    static extractCode(input) {
+        const text = String(input || '').trim();
+        const index = text.indexOf(URL_PARAM);
+        return index >= 0 ? text.slice(index + URL_PARAM.length) : text;
+    }
+
+    /**
+     * Check whether a URL fragment carries a track code
+     */
+    static hasCode(hash) {
+        return typeof hash === 'string' && hash.includes(URL_PARAM + CODE_PREFIX);
+    }
+
+    static async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Track Library
+ * Resolves track ids to track data from the tracks folder or local custom tracks
+ */
+
+import { TrackLoader } from './TrackLoader.js';
+import { TrackValidator } from './TrackValidator.js';
+
+const MANIFEST_FILE = 'index.json';
+const CUSTOM_TRACKS_KEY = 'polyracer_custom_tracks';
+const CUSTOM_PREFIX = 'custom_';
+
+export class TrackLibrary {
+    constructor(basePath = 'tracks/') {
+        this.basePath = basePath;
+    }
+
+    /**
+     * Get track data by id
+     */
+    async fetchTrack(trackId) {
+        if (TrackLibrary.isCustomId(trackId)) {
+            const custom = this.loadCustomTracks()[trackId];
+            if (!custom) {
+                throw new Error(`Custom track "${trackId}" not found`);
+            }
+            return custom;
+        }
+
+        const response = await fetch(`${this.basePath}${trackId}.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch track: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Track ids listed in the tracks folder manifest
+     */
+    async fetchManifest() {
+        const response = await fetch(`${this.basePath}${MANIFEST_FILE}`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch track manifest: ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        if (!Array.isArray(manifest.tracks)) {
+            throw new Error('Track manifest must have a "tracks" array');
+        }
+        return manifest.tracks;
+    }
+
+    /**
+     * Menu entries for every manifest track followed by custom tracks
+     */
+    async getTrackList() {
+        const ids = await this.fetchManifest();
+
+        const builtIn = await Promise.all(ids.map(async (id) => {
+            try {
+                return TrackLibrary.describeTrack(id, await this.fetchTrack(id), false);
+            } catch (error) {
+                return {
+                    id: id,
+                    name: id,
+                    difficulty: '',
+                    description: '',
+                    laps: null,
+                    length: null,
+                    isCustom: false,
+                    issues: { valid: false, errors: [error.message], warnings: [] }
+                };
+            }
+        }));
+
+        const custom = this.loadCustomTracks();
+        const customEntries = Object.keys(custom).map(id => TrackLibrary.describeTrack(id, custom[id], true));
+
+        return [...builtIn, ...customEntries];
+    }
+
+    /**
+     * Menu entry built from the track file itself
+     */
+    static describeTrack(id, trackData, isCustom) {
+        const issues = TrackValidator.validate(trackData);
+
+        return {
+            id: id,
+            name: trackData.name || id,
+            difficulty: trackData.difficulty || (isCustom ? 'Custom' : ''),
+            description: trackData.description || '',
+            laps: trackData.open ? 1 : (trackData.laps || 1),
+            length: issues.valid ? TrackLoader.measureLength(trackData) : null,
+            isCustom: isCustom,
+            issues: issues
+        };
+    }
+
+    /**
+     * Store a custom track, returning its id (same content gives the same id)
+     */
+    addCustomTrack(trackData) {
+        const tracks = this.loadCustomTracks();
+        const id = `${CUSTOM_PREFIX}${TrackLibrary.hashTrack(trackData)}`;
+
+        tracks[id] = trackData;
+        localStorage.setItem(CUSTOM_TRACKS_KEY, JSON.stringify(tracks));
+
+        return id;
+    }
+
+    removeCustomTrack(trackId) {
+        const tracks = this.loadCustomTracks();
+        delete tracks[trackId];
+        localStorage.setItem(CUSTOM_TRACKS_KEY, JSON.stringify(tracks));
+    }
+
+    loadCustomTracks() {
+        try {
+            return JSON.parse(localStorage.getItem(CUSTOM_TRACKS_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    static isCustomId(trackId) {
+        return typeof trackId === 'string' && trackId.startsWith(CUSTOM_PREFIX);
+    }
+
+    /**
+     * Content hash of track data (FNV-1a over the JSON text)
+     */
+    static hashTrack(trackData) {
+        const text = JSON.stringify(trackData);
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Track Loader
+ * Detects the track format and dispatches to the matching builder
+ */
+
+import * as THREE from 'three';
+import { TrackBuilder } from './TrackBuilder.js';
+import { SplineTrackBuilder } from './SplineTrackBuilder.js';
+import { TrackValidator } from './TrackValidator.js';
+
+export class TrackLoader {
+    constructor(renderer, collision) {
+        this.renderer = renderer;
+        this.collision = collision;
+
+        // Builders by format
+        this.builders = {
+            pieces: new TrackBuilder(renderer, collision),
+            spline: new SplineTrackBuilder(renderer, collision)
+        };
+
+        // Builder of the track currently in the scene
+        this.activeBuilder = null;
+    }
+
+    /**
+     * Detect track format from explicit `format` field or data shape
+     */
+    static detectFormat(trackData) {
+        if (!trackData || typeof trackData !== 'object') return null;
+
+        if (trackData.format !== undefined) {
+            return trackData.format;
+        }
+
+        if (Array.isArray(trackData.pieces)) return 'pieces';
+        if (Array.isArray(trackData.points)) return 'spline';
+
+        return null;
+    }
+
+    /**
+     * Driving length of a track in metres
+     */
+    static measureLength(trackData) {
+        const format = TrackLoader.detectFormat(trackData);
+        if (format === 'pieces') return TrackBuilder.measureLength(trackData);
+        if (format === 'spline') return SplineTrackBuilder.measureLength(trackData);
+        return null;
+    }
+
+    /**
+     * Build track and return the common track info contract
+     */
+    build(trackData) {
+        // Fail with JSON paths before a builder trips over bad data
+        TrackValidator.assertValid(trackData);
+
+        const format = TrackLoader.detectFormat(trackData);
+        const builder = this.builders[format];
+
+        if (!builder) {
+            throw new Error(format
+                ? `Unknown track format "${format}"`
+                : 'Unknown track format: expected "pieces" or "points"');
+        }
+
+        // Remove whatever the previous builder left in the scene
+        if (this.activeBuilder && this.activeBuilder !== builder) {
+            this.activeBuilder.clear();
+        }
+        this.activeBuilder = builder;
+
+        const info = builder.build(trackData);
+        if (!info) {
+            throw new Error(`Track could not be built as "${format}"`);
+        }
+
+        // Index the new track now rather than on the first physics tick
+        this.collision.buildTrackIndex();
+
+        return {
+            format: format,
+            spawnPosition: info.spawnPosition.clone(),
+            spawnRotation: info.spawnRotation,
+            checkpointCount: info.checkpointCount,
+            laps: info.laps ?? (trackData.laps || 1),
+            checkpoints: this.collision.checkpoints.map(cp => ({
+                position: cp.position.clone(),
+                index: cp.index,
+                isFinish: cp.isFinish
+            })),
+            bounds: new THREE.Box3().setFromObject(builder.trackGroup),
+            pieceStarts: info.pieceStarts || [],
+            path: info.path || []
+        };
+    }
+
+    /**
+     * Clear the current track
+     */
+    clear() {
+        if (this.activeBuilder) {
+            this.activeBuilder.clear();
+            this.activeBuilder = null;
+        }
+    }
+}
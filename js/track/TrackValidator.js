@@ -0,0 +1,337 @@
+/**
+ * Track Validator
+ * Checks track JSON against the versioned track schema before building
+ */
+
+import { SURFACES } from './Surfaces.js';
+
+export const TRACK_SCHEMA_VERSION = 2;
+
+// Field rules
+const NUMBER = { type: 'number' };
+const POSITIVE = { type: 'number', gt: 0 };
+const NON_ZERO = { type: 'number', notZero: true };
+const BOOLEAN = { type: 'boolean' };
+const STRING = { type: 'string' };
+const FRACTION = { type: 'number', min: 0, max: 1 };
+const SIDE = { type: 'string', enum: ['left', 'right', 'both'] };
+const SURFACE = { type: 'string', enum: Object.keys(SURFACES) };
+
+const required = (rule) => ({ ...rule, required: true });
+
+/**
+ * The original track format
+ */
+const SCHEMA_V1 = {
+    track: {
+        version: { type: 'integer', min: 1 },
+        format: { type: 'string', enum: ['pieces', 'spline'] },
+        name: STRING,
+        difficulty: STRING,
+        laps: { type: 'integer', min: 1 },
+        description: STRING,
+        pieces: { type: 'array' },
+        points: { type: 'array' },
+        decorations: { type: 'array' }
+    },
+    pieces: {
+        straight: { length: POSITIVE, width: POSITIVE, heightChange: NUMBER },
+        curve: { radius: POSITIVE, angle: required(NON_ZERO), width: POSITIVE },
+        ramp: { length: POSITIVE, width: POSITIVE, heightChange: NUMBER },
+        jump: { length: POSITIVE, width: POSITIVE, jumpHeight: POSITIVE },
+        loop: { radius: POSITIVE, width: POSITIVE },
+        boost: { length: POSITIVE, width: POSITIVE },
+        checkpoint: { width: POSITIVE, isFinish: BOOLEAN },
+        finish: { width: POSITIVE }
+    },
+    point: {
+        x: required(NUMBER),
+        y: required(NUMBER),
+        z: required(NUMBER)
+    },
+    decoration: {
+        x: required(NUMBER),
+        z: required(NUMBER)
+    }
+};
+
+/**
+ * A schema with extra fields (and piece or feature types) on top of an older one
+ */
+const extendSchema = (base, additions) => {
+    const schema = { ...base };
+    for (const section in additions) {
+        schema[section] = { ...base[section], ...additions[section] };
+    }
+    return schema;
+};
+
+/**
+ * Schemas by version. Newer versions may only add fields so older
+ * track files keep validating.
+ */
+const SCHEMAS = {
+    1: SCHEMA_V1,
+
+    // Spline point width, bank and surface, spline features and checkpoints,
+    // open tracks, respawn penalty, piece surfaces and five new piece types
+    2: extendSchema(SCHEMA_V1, {
+        track: {
+            open: BOOLEAN,
+            respawnPenalty: { type: 'number', min: 0 },
+            features: { type: 'array' },
+            checkpoints: { type: 'array' }
+        },
+        // Fields every piece type accepts
+        piece: {
+            surface: SURFACE
+        },
+        pieces: {
+            scurve: { radius: POSITIVE, angle: NON_ZERO, width: POSITIVE },
+            bankedCurve: { radius: POSITIVE, angle: required(NON_ZERO), bank: { type: 'number', min: -1.2, max: 1.2 }, width: POSITIVE },
+            halfpipe: { length: POSITIVE, width: POSITIVE, wallHeight: POSITIVE },
+            tunnel: { length: POSITIVE, width: POSITIVE, height: POSITIVE },
+            wallride: { length: POSITIVE, width: POSITIVE, angle: { type: 'number', gt: 0, max: 1.571 }, side: { type: 'string', enum: ['left', 'right'] } }
+        },
+        point: {
+            width: POSITIVE,
+            bank: { type: 'number', min: -1.57, max: 1.57 },
+            surface: SURFACE
+        },
+        // Spline checkpoints give either a curve parameter or a point index plus offset in metres
+        checkpoint: {
+            t: FRACTION,
+            point: { type: 'integer', min: 0 },
+            offset: NUMBER
+        },
+        // Spline features span curve parameters from-to (0-1, wrapping past the start when to < from)
+        features: {
+            boost: { from: required(FRACTION), to: required(FRACTION), width: POSITIVE },
+            barrier: { from: required(FRACTION), to: required(FRACTION), side: SIDE },
+            curb: { from: required(FRACTION), to: required(FRACTION), side: SIDE },
+            ramp: { from: required(FRACTION), to: required(FRACTION), height: POSITIVE },
+            gap: { from: required(FRACTION), to: required(FRACTION) }
+        }
+    })
+};
+
+export class TrackValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid track: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+        this.name = 'TrackValidationError';
+        this.errors = errors;
+    }
+}
+
+export class TrackValidator {
+    /**
+     * Validate track data
+     * Returns { valid, version, errors, warnings } with JSON paths in every message
+     */
+    static validate(trackData) {
+        const errors = [];
+        const warnings = [];
+
+        if (!trackData || typeof trackData !== 'object' || Array.isArray(trackData)) {
+            return { valid: false, version: null, errors: ['track must be an object'], warnings };
+        }
+
+        const version = trackData.version ?? TRACK_SCHEMA_VERSION;
+        const schema = SCHEMAS[version];
+
+        if (!schema) {
+            errors.push(`version ${version} is not supported (latest is ${TRACK_SCHEMA_VERSION})`);
+            return { valid: false, version, errors, warnings };
+        }
+
+        TrackValidator.checkFields(trackData, schema.track, '', errors, warnings);
+
+        // Format
+        const format = trackData.format ??
+            (Array.isArray(trackData.pieces) ? 'pieces' : Array.isArray(trackData.points) ? 'spline' : null);
+
+        if (format === 'pieces') {
+            TrackValidator.checkPieces(trackData.pieces, schema, errors, warnings);
+        } else if (format === 'spline') {
+            TrackValidator.checkPoints(trackData.points, schema, errors, warnings);
+            TrackValidator.checkFeatures(trackData, schema, errors, warnings);
+            TrackValidator.checkCheckpoints(trackData, schema, errors, warnings);
+
+            if (trackData.open === true && trackData.laps > 1) {
+                warnings.push('laps is ignored on open tracks (always 1)');
+            }
+        } else if (trackData.format === undefined) {
+            errors.push('track must have a "pieces" or "points" array');
+        }
+
+        if (Array.isArray(trackData.decorations)) {
+            trackData.decorations.forEach((deco, i) => {
+                TrackValidator.checkObject(deco, schema.decoration, `decorations[${i}]`, errors, warnings);
+            });
+        }
+
+        return { valid: errors.length === 0, version, errors, warnings };
+    }
+
+    /**
+     * Field rules for a piece type in the latest schema
+     */
+    static getPieceFields(type) {
+        const schema = SCHEMAS[TRACK_SCHEMA_VERSION];
+        return schema.pieces[type] ? { ...schema.pieces[type], ...schema.piece } : null;
+    }
+
+    /**
+     * Validate and throw a TrackValidationError on failure
+     */
+    static assertValid(trackData) {
+        const result = TrackValidator.validate(trackData);
+        if (!result.valid) {
+            throw new TrackValidationError(result.errors);
+        }
+        return result;
+    }
+
+    static checkPieces(pieces, schema, errors, warnings) {
+        if (!Array.isArray(pieces)) {
+            errors.push('pieces must be an array');
+            return;
+        }
+        if (pieces.length === 0) {
+            errors.push('pieces must not be empty');
+            return;
+        }
+
+        pieces.forEach((piece, i) => {
+            TrackValidator.checkTyped(piece, schema.pieces, `pieces[${i}]`, 'piece', errors, warnings, schema.piece);
+        });
+    }
+
+    /**
+     * Check an object whose fields depend on its "type"
+     */
+    static checkTyped(obj, types, path, kind, errors, warnings, common = {}) {
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        if (obj.type === undefined) {
+            errors.push(`${path}.type is required`);
+            return;
+        }
+
+        const fields = types[obj.type];
+        if (!fields) {
+            errors.push(`${path}.type "${obj.type}" is not a known ${kind} type`);
+            return;
+        }
+
+        TrackValidator.checkObject(obj, { type: STRING, ...common, ...fields }, path, errors, warnings);
+    }
+
+    static checkPoints(points, schema, errors, warnings) {
+        if (!Array.isArray(points)) {
+            errors.push('points must be an array');
+            return;
+        }
+        if (points.length < 2) {
+            errors.push('points must contain at least 2 entries');
+        }
+
+        points.forEach((point, i) => {
+            TrackValidator.checkObject(point, schema.point, `points[${i}]`, errors, warnings);
+        });
+    }
+
+    static checkFeatures(trackData, schema, errors, warnings) {
+        // Older schemas flag the field itself as unknown
+        if (!schema.features || !Array.isArray(trackData.features)) return;
+
+        trackData.features.forEach((feature, i) => {
+            const before = errors.length;
+            TrackValidator.checkTyped(feature, schema.features, `features[${i}]`, 'feature', errors, warnings);
+
+            // Only loops can wrap a range past the start line
+            if (errors.length === before && trackData.open === true && feature.to < feature.from) {
+                errors.push(`features[${i}].to must be >= from on open tracks`);
+            }
+        });
+    }
+
+    static checkCheckpoints(trackData, schema, errors, warnings) {
+        if (!schema.checkpoint || !Array.isArray(trackData.checkpoints)) return;
+
+        const pointCount = Array.isArray(trackData.points) ? trackData.points.length : 0;
+
+        trackData.checkpoints.forEach((cp, i) => {
+            const path = `checkpoints[${i}]`;
+            const before = errors.length;
+
+            TrackValidator.checkObject(cp, schema.checkpoint, path, errors, warnings);
+            if (errors.length > before) return;
+
+            if ((cp.t === undefined) === (cp.point === undefined)) {
+                errors.push(`${path} must have either t or point`);
+            } else if (cp.point !== undefined && cp.point >= pointCount) {
+                errors.push(`${path}.point must be < ${pointCount}`);
+            } else if (cp.offset !== undefined && cp.point === undefined) {
+                warnings.push(`${path}.offset is only used with point`);
+            }
+        });
+    }
+
+    static checkObject(obj, fields, path, errors, warnings) {
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        TrackValidator.checkFields(obj, fields, `${path}.`, errors, warnings);
+    }
+
+    /**
+     * Check every field of an object against its rules
+     */
+    static checkFields(obj, fields, prefix, errors, warnings) {
+        for (const key in fields) {
+            const error = TrackValidator.checkValue(obj[key], fields[key]);
+            if (error) errors.push(`${prefix}${key} ${error}`);
+        }
+
+        // Unknown fields are usually typos, but they don't break the build
+        for (const key in obj) {
+            if (!(key in fields)) {
+                warnings.push(`${prefix}${key} is not a known field`);
+            }
+        }
+    }
+
+    /**
+     * Check a single value, returning the error text or null
+     */
+    static checkValue(value, rule) {
+        if (value === undefined) {
+            return rule.required ? 'is required' : null;
+        }
+
+        switch (rule.type) {
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+                if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return 'must be an array';
+                break;
+            default:
+                if (typeof value !== rule.type) return `must be a ${rule.type}`;
+        }
+
+        if (rule.gt !== undefined && !(value > rule.gt)) return `must be > ${rule.gt}`;
+        if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+        if (rule.notZero && value === 0) return 'must not be 0';
+        if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+
+        return null;
+    }
+}
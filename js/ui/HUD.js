@@ -10,9 +10,13 @@ export class HUD {
         this.hud = document.getElementById('hud');
         this.currentTimeEl = document.getElementById('current-time');
         this.bestTimeEl = document.getElementById('best-time');
+        this.theoreticalBestEl = document.getElementById('theoretical-best');
+        this.splitDeltaEl = document.getElementById('split-delta');
         this.speedValueEl = document.getElementById('speed-value');
         this.lapCounterEl = document.getElementById('lap-counter');
         this.checkpointFlashEl = document.getElementById('checkpoint-flash');
+        this.fadeEl = document.getElementById('fade-overlay');
+        this.wrongWayEl = document.getElementById('wrong-way');
 
         this.visible = false;
     }
@@ -45,6 +49,7 @@ export class HUD {
         // Update best time
         const bestTime = game.getFormattedBestTime();
         this.bestTimeEl.textContent = `BEST: ${bestTime}`;
+        this.theoreticalBestEl.textContent = `THEORETICAL: ${game.getFormattedTheoreticalBest()}`;
 
         // Update speed
         const speed = Math.round(game.getSpeed());
@@ -59,7 +64,40 @@ export class HUD {
      * Flash checkpoint indicator
      */
     showCheckpoint(isFinish = false) {
-        this.checkpointFlashEl.textContent = isFinish ? 'FINISH!' : 'CHECKPOINT';
+        this.flash(isFinish ? 'FINISH!' : 'CHECKPOINT');
+    }
+
+    /**
+     * Flash a split's delta to the best race, green when ahead and red when behind
+     */
+    showSplit(split) {
+        if (split.delta === null) return;
+
+        this.splitDeltaEl.textContent = Timer.formatDelta(split.delta);
+        this.splitDeltaEl.classList.toggle('ahead', split.delta <= 0);
+        this.splitDeltaEl.classList.toggle('behind', split.delta > 0);
+        this.splitDeltaEl.classList.remove('hidden');
+
+        // Re-trigger animation
+        this.splitDeltaEl.style.animation = 'none';
+        this.splitDeltaEl.offsetHeight;
+        this.splitDeltaEl.style.animation = null;
+
+        clearTimeout(this.splitTimeout);
+        this.splitTimeout = setTimeout(() => {
+            this.splitDeltaEl.classList.add('hidden');
+        }, 1500);
+    }
+
+    /**
+     * Flash the time added by a respawn
+     */
+    showPenalty(ms) {
+        this.flash(`+${(ms / 1000).toFixed(1)}s`);
+    }
+
+    flash(text) {
+        this.checkpointFlashEl.textContent = text;
         this.checkpointFlashEl.classList.remove('hidden');
 
         // Re-trigger animation
@@ -73,6 +111,20 @@ export class HUD {
         }, 500);
     }
 
+    /**
+     * Show or hide the wrong-way warning
+     */
+    setWrongWay(active) {
+        this.wrongWayEl.classList.toggle('hidden', !active);
+    }
+
+    /**
+     * Fade the screen to black (respawns)
+     */
+    setFade(active) {
+        this.fadeEl.classList.toggle('active', active);
+    }
+
     /**
      * Reset HUD
      */
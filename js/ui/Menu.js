@@ -5,6 +5,8 @@
 
 import { Timer } from '../game/RaceTimer.js';
 
+const DRIVER_NAME_KEY = 'polyracer_driver_name';
+
 export class Menu {
     constructor() {
         // Menu screens
@@ -14,6 +16,7 @@ export class Menu {
         this.controlsMenu = document.getElementById('controls-menu');
         this.pauseMenu = document.getElementById('pause-menu');
         this.resultsScreen = document.getElementById('results-screen');
+        this.shareMenu = document.getElementById('share-menu');
 
         // Mobile controls
         this.mobileControls = document.getElementById('mobile-controls');
@@ -22,18 +25,35 @@ export class Menu {
         this.currentScreen = 'main';
         this.selectedTrackId = 'track1';
         this.selectedColor = '#ff3366';
+        this.driverName = localStorage.getItem(DRIVER_NAME_KEY) || 'PLAYER';
+        this.shareUrl = '';
 
         // Callbacks
         this.onPlay = null;
         this.onTrackSelect = null;
+        this.onEditTrack = null;
+        this.onShareOpen = null;
+        this.onImportCode = null;
         this.onColorChange = null;
         this.onResume = null;
         this.onRestart = null;
+        this.onReplay = null;
         this.onQuit = null;
+        this.onGhostToggle = null;
+        this.onGhostKeep = null;
+        this.onGhostRemove = null;
+        this.onGhostExport = null;
+        this.onGhostImport = null;
 
         // Track data (will be populated)
         this.tracks = [];
 
+        // Validation results by track id
+        this.trackIssues = {};
+
+        // Track ids whose issue lists are shown in full
+        this.expandedIssues = new Set();
+
         this.init();
     }
 
@@ -55,6 +75,38 @@ export class Menu {
             this.showScreen('controls');
         });
 
+        // Track editor
+        document.getElementById('btn-edit-track').addEventListener('click', () => {
+            if (this.onEditTrack) this.onEditTrack(this.selectedTrackId);
+        });
+
+        document.getElementById('btn-new-track').addEventListener('click', () => {
+            if (this.onEditTrack) this.onEditTrack(null);
+        });
+
+        // Track sharing
+        document.getElementById('btn-share-track').addEventListener('click', () => {
+            this.showScreen('share');
+            if (this.onShareOpen) this.onShareOpen();
+        });
+
+        document.getElementById('btn-copy-code').addEventListener('click', () => {
+            this.copyToClipboard(document.getElementById('share-code').value);
+        });
+
+        document.getElementById('btn-copy-link').addEventListener('click', () => {
+            this.copyToClipboard(this.shareUrl);
+        });
+
+        document.getElementById('btn-import-code').addEventListener('click', () => {
+            const code = document.getElementById('share-code').value;
+            if (this.onImportCode) this.onImportCode(code);
+        });
+
+        document.getElementById('btn-back-share').addEventListener('click', () => {
+            this.showScreen('tracks');
+        });
+
         // Back buttons
         document.getElementById('btn-back-tracks').addEventListener('click', () => {
             this.showScreen('main');
@@ -86,10 +138,35 @@ export class Menu {
             if (this.onRestart) this.onRestart();
         });
 
+        document.getElementById('btn-replay').addEventListener('click', () => {
+            if (this.onReplay) this.onReplay();
+        });
+
         document.getElementById('btn-results-menu').addEventListener('click', () => {
             if (this.onQuit) this.onQuit();
         });
 
+        // Ghost files
+        const ghostFileInput = document.getElementById('ghost-file');
+
+        document.getElementById('btn-import-ghost').addEventListener('click', () => {
+            ghostFileInput.click();
+        });
+
+        ghostFileInput.addEventListener('change', () => {
+            const file = ghostFileInput.files[0];
+            ghostFileInput.value = ''; // Picking the same file again still fires change
+            if (file && this.onGhostImport) this.onGhostImport(file);
+        });
+
+        // Driver name (goes into exported ghosts)
+        const driverInput = document.getElementById('driver-name');
+        driverInput.value = this.driverName;
+        driverInput.addEventListener('input', () => {
+            this.driverName = driverInput.value.trim() || 'PLAYER';
+            localStorage.setItem(DRIVER_NAME_KEY, this.driverName);
+        });
+
         // Color picker
         this.initColorPicker();
 
@@ -131,6 +208,20 @@ export class Menu {
      */
     setTracks(tracks) {
         this.tracks = tracks;
+
+        // Fall back to the first track if the selection is gone
+        if (tracks.length > 0 && !tracks.some(track => track.id === this.selectedTrackId)) {
+            this.selectedTrackId = tracks[0].id;
+        }
+
+        this.populateTrackGrid();
+    }
+
+    /**
+     * Set validation results for a track
+     */
+    setTrackIssues(trackId, result) {
+        this.trackIssues[trackId] = result;
         this.populateTrackGrid();
     }
 
@@ -150,12 +241,31 @@ export class Menu {
             const bestTime = localStorage.getItem(bestKey);
             const bestTimeFormatted = bestTime ? Timer.formatTime(parseFloat(bestTime)) : '--:--.---';
 
+            const details = [
+                track.difficulty,
+                track.laps ? `${track.laps} ${track.laps === 1 ? 'LAP' : 'LAPS'}` : null,
+                Menu.formatLength(track.length)
+            ].filter(Boolean).join(' · ');
+
             card.innerHTML = `
-                <div class="track-name">${track.name}</div>
-                <div class="track-difficulty">${track.difficulty}</div>
+                <div class="track-name"></div>
+                <div class="track-difficulty"></div>
+                <div class="track-description"></div>
                 <div class="track-best">BEST: ${bestTimeFormatted}</div>
             `;
 
+            // Text from track files goes in as text, not markup
+            card.querySelector('.track-name').textContent = track.name;
+            card.querySelector('.track-difficulty').textContent = details;
+            card.querySelector('.track-description').textContent = track.description;
+
+            // Validation problems for track authors (load errors win over file checks)
+            const issues = this.trackIssues[track.id] || track.issues;
+            if (issues && (issues.errors.length > 0 || issues.warnings.length > 0)) {
+                if (!issues.valid) card.classList.add('invalid');
+                card.appendChild(this.createIssueList(track.id, issues));
+            }
+
             card.addEventListener('click', () => {
                 // Update selection
                 document.querySelectorAll('.track-card').forEach(c => c.classList.remove('selected'));
@@ -172,6 +282,124 @@ export class Menu {
         });
     }
 
+    /**
+     * Format a track length in metres for the track cards
+     */
+    static formatLength(metres) {
+        if (!metres) return null;
+        return metres >= 1000 ? `${(metres / 1000).toFixed(2)} KM` : `${Math.round(metres)} M`;
+    }
+
+    /**
+     * Ghost picker for the loaded track: ticked ghosts race alongside
+     */
+    setGhosts(ghosts, selectedIds) {
+        const list = document.getElementById('ghost-list');
+        list.innerHTML = '';
+
+        if (ghosts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'ghost-empty';
+            empty.textContent = 'Finish a race to get your first ghost';
+            list.appendChild(empty);
+            return;
+        }
+
+        ghosts.forEach(ghost => {
+            const item = document.createElement('li');
+            item.className = 'ghost-item';
+            item.innerHTML = `
+                <label>
+                    <input type="checkbox">
+                    <span class="ghost-swatch"></span>
+                    <span class="ghost-name"></span>
+                    <span class="ghost-time">${Timer.formatTime(ghost.time)}</span>
+                </label>
+            `;
+
+            const checkbox = item.querySelector('input');
+            checkbox.checked = selectedIds.has(ghost.id);
+            checkbox.addEventListener('change', () => {
+                if (this.onGhostToggle) this.onGhostToggle(ghost.id, checkbox.checked);
+            });
+
+            item.querySelector('.ghost-swatch').style.backgroundColor = `#${ghost.color.toString(16).padStart(6, '0')}`;
+            item.querySelector('.ghost-name').textContent = ghost.name;
+
+            if (ghost.kind === 'last') {
+                item.appendChild(this.createGhostAction('KEEP', () => {
+                    if (this.onGhostKeep) this.onGhostKeep(ghost.id);
+                }));
+            } else if (ghost.kind === 'target' || ghost.kind === 'imported') {
+                item.appendChild(this.createGhostAction('REMOVE', () => {
+                    if (this.onGhostRemove) this.onGhostRemove(ghost.id);
+                }));
+            }
+
+            item.appendChild(this.createGhostAction('EXPORT', () => {
+                if (this.onGhostExport) this.onGhostExport(ghost.id);
+            }));
+
+            list.appendChild(item);
+        });
+    }
+
+    setGhostStatus(text, isError = false) {
+        const status = document.getElementById('ghost-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    createGhostAction(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'editor-btn';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Issue list for a track card; long lists show the first few and
+     * expand in place when "+N more" is clicked
+     */
+    createIssueList(trackId, issues) {
+        const maxShown = 5;
+        const list = document.createElement('ul');
+        list.className = 'track-issues';
+
+        const entries = [
+            ...issues.errors.map(text => ({ text, type: 'error' })),
+            ...issues.warnings.map(text => ({ text, type: 'warning' }))
+        ];
+        const expanded = this.expandedIssues.has(trackId);
+        const shown = expanded ? entries : entries.slice(0, maxShown);
+
+        shown.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.type;
+            item.textContent = entry.text;
+            list.appendChild(item);
+        });
+
+        if (entries.length > maxShown) {
+            const toggle = document.createElement('li');
+            toggle.className = 'issues-toggle';
+            toggle.textContent = expanded ? 'Show less' : `+${entries.length - maxShown} more`;
+            toggle.addEventListener('click', (event) => {
+                event.stopPropagation(); // Don't select the card
+                if (expanded) {
+                    this.expandedIssues.delete(trackId);
+                } else {
+                    this.expandedIssues.add(trackId);
+                }
+                this.populateTrackGrid();
+            });
+            list.appendChild(toggle);
+        }
+
+        return list;
+    }
+
     /**
      * Show a specific screen
      */
@@ -183,6 +411,7 @@ export class Menu {
         this.controlsMenu.classList.add('hidden');
         this.pauseMenu.classList.add('hidden');
         this.resultsScreen.classList.add('hidden');
+        this.shareMenu.classList.add('hidden');
 
         // Show requested screen
         switch (screen) {
@@ -205,6 +434,12 @@ export class Menu {
             case 'results':
                 this.resultsScreen.classList.remove('hidden');
                 break;
+            case 'share':
+                document.getElementById('share-code').value = '';
+                this.shareUrl = '';
+                this.setShareStatus('Paste a code or link to import, or copy the selected track\'s code.');
+                this.shareMenu.classList.remove('hidden');
+                break;
             case 'none':
                 // Hide all (gameplay)
                 break;
@@ -213,17 +448,43 @@ export class Menu {
         this.currentScreen = screen;
     }
 
+    /**
+     * Fill the share screen with the selected track's code
+     */
+    showShareCode(code, url) {
+        document.getElementById('share-code').value = code;
+        this.shareUrl = url;
+    }
+
+    setShareStatus(text, isError = false) {
+        const status = document.getElementById('share-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    copyToClipboard(text) {
+        if (!text) return;
+        navigator.clipboard.writeText(text)
+            .then(() => this.setShareStatus('Copied to clipboard'))
+            .catch(() => this.setShareStatus('Copy failed, select the code and copy it manually', true));
+    }
+
     /**
      * Show results screen
      */
-    showResults(time, bestTime, isNewRecord) {
+    showResults(time, bestTime, isNewRecord, results = null) {
         const resultTime = document.getElementById('result-time');
         const resultBest = document.getElementById('result-best');
+        const resultBestLap = document.getElementById('result-best-lap');
         const newRecordEl = document.getElementById('new-record');
         const titleEl = document.getElementById('results-title');
 
         resultTime.textContent = Timer.formatTime(time);
         resultBest.textContent = Timer.formatTime(bestTime);
+        resultBestLap.textContent = Timer.formatTime(results ? results.bestLapTime : null);
+        resultBestLap.classList.toggle('new-lap-record', !!results?.isNewLapRecord);
+
+        this.populateLapList(results);
 
         if (isNewRecord) {
             newRecordEl.classList.remove('hidden');
@@ -236,6 +497,50 @@ export class Menu {
         this.showScreen('results');
     }
 
+    /**
+     * Offer the replay button only when the last race recorded one
+     */
+    setReplayAvailable(available) {
+        document.getElementById('btn-replay').classList.toggle('hidden', !available);
+    }
+
+    /**
+     * Lap rows with time, delta to the best lap before this race and sector times
+     */
+    populateLapList(results) {
+        const list = document.getElementById('result-laps');
+        list.innerHTML = '';
+        if (!results) return;
+
+        results.laps.forEach(lap => {
+            const row = document.createElement('div');
+            row.className = 'result-lap';
+            if (lap.isFastest) row.classList.add('fastest');
+
+            row.innerHTML = `
+                <span class="lap-number">LAP ${lap.lap}</span>
+                <span class="lap-time">${Timer.formatTime(lap.time)}</span>
+                <span class="lap-delta">${Timer.formatDelta(lap.delta)}</span>
+                <div class="lap-sectors"></div>
+            `;
+
+            if (lap.delta !== null) {
+                row.querySelector('.lap-delta').classList.add(lap.delta <= 0 ? 'ahead' : 'behind');
+            }
+
+            const sectors = row.querySelector('.lap-sectors');
+            lap.splits.forEach((split, i) => {
+                const sector = document.createElement('span');
+                sector.className = 'lap-sector';
+                if (split.isBestSector) sector.classList.add('best');
+                sector.textContent = `S${i + 1} ${(split.sector / 1000).toFixed(3)}`;
+                sectors.appendChild(sector);
+            });
+
+            list.appendChild(row);
+        });
+    }
+
     /**
      * Show/hide mobile controls
      */
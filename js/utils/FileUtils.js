@@ -0,0 +1,40 @@
+/**
+ * File Utilities
+ * Browser downloads for exported data and reading picked files
+ */
+
+/**
+ * Download data as a pretty-printed JSON file
+ */
+export function downloadJSON(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a file from a file picker as JSON
+ */
+export async function readJSON(file) {
+    const text = await file.text();
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${file.name} is not a JSON file`);
+    }
+}
+
+/**
+ * Turn a display name into a safe file name stem
+ */
+export function toFileName(name, fallback = 'track') {
+    const stem = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return stem || fallback;
+}